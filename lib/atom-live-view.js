@@ -1,45 +1,208 @@
 "use strict";
 
-const {Disposable, Emitter, File} = require("atom");
-const {existsSync, statSync} = require("fs");
-const {basename} = require("path");
+const {Directory, Disposable, Emitter, File, Point, Range} = require("atom");
+const {clipboard} = require("electron");
+const {existsSync, readFileSync, statSync, writeFile} = require("fs");
+const {basename, dirname, extname, join, resolve} = require("path");
 const MappedDisposable = require("mapped-disposable");
+const DependencyWatcher = require("./dependency-watcher.js");
+const ErrorOverlay = require("./error-overlay.js");
+const FindBar = require("./find-bar.js");
 const ObservedKeyList = require("./observed-key-list.js");
+const Pager = require("./pager.js");
+const patchDOM = require("./patch-dom.js");
+const RenderCache = require("./render-cache.js");
+const RenderScheduler = require("./render-scheduler.js");
+const RenderWorker = require("./render-worker.js");
+const runCommand = require("./run-command.js");
+const SandboxFrame = require("./sandbox-frame.js");
+const SourceMap = require("./source-map.js");
+
+/**
+ * Version of the format written by {@link AtomLiveView#serialize}.
+ * @const {Number}
+ * @internal
+ */
+const STATE_VERSION = 1;
+
+
+/**
+ * Attributes holding the URLs of embedded resources, paired with selectors of the elements which use them.
+ * @const {Array}
+ * @internal
+ */
+const URL_ATTRIBUTES = [
+	["src",        "audio[src], embed[src], iframe[src], img[src], source[src], track[src], video[src]"],
+	["poster",     "video[poster]"],
+	["data",       "object[data]"],
+	["href",       "link[href], image[href], use[href], feImage[href]"],
+	["xlink:href", "image, use, feImage"],
+];
 
 
 class AtomLiveView{
 	
 	constructor(state = {}){
 		this.autoRefresh = true;
+		this.jumpOnClick = true;
+		this.scrollSync  = true;
 		this.disposables = new MappedDisposable();
 		this.emitter = new Emitter();
 		
 		this.element = document.createElement("div");
-		this.element.className = this.constructor.slug;
+		this.element.className = `live-view ${this.constructor.slug}`;
 		this.element.tabIndex = -1;
+		this.output = document.createElement("div");
+		this.output.className = "live-view-output";
+		this.output.addEventListener("click", this.handleClick.bind(this));
+		this.output.addEventListener("wheel", this.handleWheel.bind(this), {passive: false});
+		this.errorOverlay = new ErrorOverlay(() => this.refresh());
+		this.staleIndicator = document.createElement("button");
+		this.staleIndicator.className = "live-view-stale btn btn-sm icon icon-sync";
+		this.staleIndicator.textContent = "Outdated";
+		this.staleIndicator.title = "Refresh preview";
+		this.staleIndicator.hidden = true;
+		this.staleIndicator.addEventListener("click", () => this.refresh());
+		this.findBar = new FindBar(this.output);
+		this.pager = new Pager(this.output, {
+			onChange: info => {
+				this.element.classList.toggle("paged", info.count > 0);
+				this.emitter && this.emitter.emit("did-change-page", info);
+			},
+			onLoad:  (page, content) => this.displayPage(page, content),
+			onError: error => this.errorOverlay.show(error),
+		});
+		this.renderContext = null;
+		this.notice = document.createElement("div");
+		this.notice.className = "live-view-notice text-warning icon icon-alert";
+		this.notice.hidden = true;
+		if(this.constructor.sandboxed){
+			this.sandbox = new SandboxFrame(this.output, {
+				policy: this.constructor.contentSecurityPolicy,
+				className: `live-view ${this.constructor.slug}`,
+			});
+			this.sandbox.element.addEventListener("load", () => {
+				this.updateSandboxStyles();
+				this.deferredOutput
+					? this.displayDeferredOutput()
+					: this.pager.observe();
+			});
+			this.sandbox.element.addEventListener("contextmenu", () => {
+				const mapped = !!this.sourceMap.elementForNode(this.sandbox.contextTarget);
+				this.sandbox.element.classList.toggle("source-mapped", mapped);
+			});
+		}
+		this.element.append(
+			this.findBar.element,
+			this.notice,
+			this.sandbox ? this.sandbox.element : this.output,
+			this.errorOverlay.element,
+			this.staleIndicator,
+			this.pager.element,
+		);
+		this.sourceMap = new SourceMap(this.output);
+		loadStyleSheet();
+		this.registerCommands();
 		
 		this.editorId    = state.editorId;
 		this.filePath    = state.filePath;
+		this.following   = !!state.following;
 		this.offsets     = state.offsets;
 		this.cachedTitle = state.title;
+		if(null != state.autoRefresh)
+			this.autoRefresh = !!state.autoRefresh;
+		if("string" === typeof state.source)
+			this.sourceSnapshot = state.source;
+		
+		// Magnification of output, which is refitted when the view is resized
+		this.zoom = 1;
+		this.zoomMode = null;
+		this.setZoom(+state.zoom || 1);
+		this.zoomMode = state.zoomMode || null;
+		const refit = () => this.zoomMode && this.applyZoomMode();
+		if("function" === typeof ResizeObserver){
+			const observer = new ResizeObserver(refit);
+			observer.observe(this.element);
+			this.disposables.add(new Disposable(() => observer.disconnect()));
+		}
+		else{
+			// Electron 2 and earlier: only the window's resizing can be detected, not the pane's
+			window.addEventListener("resize", refit);
+			this.disposables.add(new Disposable(() => window.removeEventListener("resize", refit)));
+		}
+		
+		// Page to display once output has been rendered
+		this.pager.setLayout(state.pageLayout || this.constructor.pageLayout);
+		this.restoredPage = ~~state.page;
+		
+		// Coalesce render requests and discard superseded results
+		this.renderScheduler = new RenderScheduler(
+			signal => this.performRender(signal),
+			this.constructor.renderDelay,
+		);
+		
+		// Reuse output for unchanged source, if the class opts into caching
+		this.renderCache = this.constructor.cacheSize > 0
+			? new RenderCache(this.constructor.cacheSize)
+			: null;
+		
+		// Files included by the source, as reported by {@link #addDependency}
+		this.dependencies = new DependencyWatcher((path, type) => {
+			this.renderCache && this.renderCache.clear(false);
+			this.handleSourceChange("edit" === type ? "edit" : "save", true);
+		});
 		
 		// Config keys which trigger a redraw when changed
+		this.configChanges = new Map();
 		Object.defineProperty(this, "observedKeys", {
-			value: new ObservedKeyList(this.render.bind(this)),
+			value: new ObservedKeyList(changes => {
+				this.queueConfigChanges(changes);
+				this.shouldAutoRefresh("config")
+					? this.refresh()
+					: this.markStale();
+			}),
 			enumerable: false,
 		});
+		this.constructor.registerConfig();
+		
+		// Catch up on changes held back while rendering was manual
+		this.disposables.add(atom.config.observe(`${this.constructor.packageName}.renderMode`, mode => {
+			if("manual" !== mode && this.isStale() && this.shouldAutoRefresh("config"))
+				this.refresh();
+		}));
+		
+		// Settings which affect the preview's appearance, but not its content
+		Object.defineProperty(this, "themeKeys", {
+			value: new ObservedKeyList(
+				() => this.updateTheme(),
+				"editor.fontFamily editor.fontSize editor.lineHeight",
+				`${this.constructor.packageName}.previewStyle`,
+			),
+			enumerable: false,
+		});
+		this.disposables.add(atom.themes.onDidChangeActiveThemes(() => this.updateTheme()));
 		
 		this.waitToLoad().then(() => {
-			if(this.editorId){
-				if(this.editor = this.editorForId(this.editorId)){
-					this.emitter.emit("did-change-title");
-					this.disposables.add(this.editor.onDidDestroy(() => this.watchFile(this.getPath())));
-					this.handleEvents();
-					this.render().then(() => this.restoreOffsets());
-				}
-				else this.watchFile(this.filePath);
+			if(this.following){
+				this.disposables.add("following", atom.workspace.observeActiveTextEditor(editor => {
+					if(editor && editor !== this.editor && this.constructor.supportsEditor(editor))
+						this.attachEditor(editor);
+				}));
+				if(this.editor) return;
+			}
+			if(!this.editorId && !this.filePath) return;
+			
+			// Fall back to an editor for the same file if the one that was saved has closed
+			const editor = this.editorId
+				? this.editorForId(this.editorId) || this.filePath && this.editorForPath(this.filePath)
+				: null;
+			if(editor)
+				this.attachEditor(editor);
+			else{
+				this.watchFile(this.filePath);
+				if(this.detached && null != this.sourceSnapshot)
+					this.refresh();
 			}
-			else this.watchFile(this.filePath);
 		});
 	}
 	
@@ -50,7 +213,20 @@ class AtomLiveView{
 	 * @public
 	 */
 	destroy(){
+		clearTimeout(this.scrollLockTimeout);
 		this.observedKeys.clear();
+		this.themeKeys.clear();
+		this.renderScheduler.dispose();
+		this.dependencies.dispose();
+		this.pager.dispose();
+		if(this.sandbox){
+			this.sandbox.destroy();
+			this.sandbox = null;
+		}
+		if(this.renderWorker){
+			this.renderWorker.dispose();
+			this.renderWorker = null;
+		}
 		if(this.emitter){
 			this.emitter.emit("did-destroy");
 			this.emitter.dispose();
@@ -63,29 +239,182 @@ class AtomLiveView{
 	}
 	
 	
+	/**
+	 * Invoke a callback when the view's title has changed.
+	 *
+	 * @param {Function} callback
+	 * @return {Disposable}
+	 * @public
+	 */
+	onDidChangeTitle(callback){
+		return this.emitter.on("did-change-title", callback);
+	}
+	
+	
+	/**
+	 * Invoke a callback when the view is destroyed.
+	 *
+	 * @param {Function} callback
+	 * @return {Disposable}
+	 * @public
+	 */
+	onDidDestroy(callback){
+		return this.emitter.on("did-destroy", callback);
+	}
+	
+	
+	/**
+	 * Invoke a callback when rendering begins.
+	 *
+	 * @param {Function} callback
+	 *   Passed an object with a `startTime` property, which holds
+	 *   a high-resolution timestamp obtained from `performance.now()`.
+	 * @return {Disposable}
+	 * @public
+	 */
+	onDidStartRender(callback){
+		return this.emitter.on("did-start-render", callback);
+	}
+	
+	
+	/**
+	 * Invoke a callback when a render completes successfully.
+	 *
+	 * @param {Function} callback
+	 *   Passed an object with `startTime`, `endTime` and `duration` properties
+	 *   (measured in milliseconds), as well as the `output` that was rendered.
+	 * @return {Disposable}
+	 * @public
+	 */
+	onDidFinishRender(callback){
+		return this.emitter.on("did-finish-render", callback);
+	}
+	
+	
+	/**
+	 * Invoke a callback when a render throws an error.
+	 *
+	 * @param {Function} callback
+	 *   Passed an object with the thrown `error`, as well as the
+	 *   same timing properties passed to {@link #onDidFinishRender}.
+	 * @return {Disposable}
+	 * @public
+	 */
+	onDidFailRender(callback){
+		return this.emitter.on("did-fail-render", callback);
+	}
+	
+	
+	/**
+	 * Invoke a callback when a render is superseded before it completes.
+	 *
+	 * @param {Function} callback
+	 *   Passed the same timing properties as {@link #onDidFinishRender}.
+	 * @return {Disposable}
+	 * @public
+	 */
+	onDidCancelRender(callback){
+		return this.emitter.on("did-cancel-render", callback);
+	}
+	
+	
+	/**
+	 * Invoke a callback when the preview's magnification changes.
+	 *
+	 * @param {Function} callback
+	 *   Passed an object with the new `zoom` level, and the current `zoomMode`.
+	 * @return {Disposable}
+	 * @public
+	 */
+	onDidChangeZoom(callback){
+		return this.emitter.on("did-change-zoom", callback);
+	}
+	
+	
+	/**
+	 * Invoke a callback when the current page or number of pages changes.
+	 *
+	 * @param {Function} callback
+	 *   Passed an object with the number of the current `page`, and the
+	 *   total `count` of pages. Both are 0 if output isn't divided into pages.
+	 * @return {Disposable}
+	 * @public
+	 */
+	onDidChangePage(callback){
+		return this.emitter.on("did-change-page", callback);
+	}
+	
+	
 	/**
 	 * Restore an instance from an earlier workspace session.
+	 *
+	 * State saved in an older format is upgraded first. See {@link #migrateState}.
+	 *
 	 * @return {AtomLiveView}
 	 * @public
 	 */
 	static get deserialize(){
-		return params => new this(params);
+		return params => {
+			const state = {...params};
+			const version = +state.stateVersion || 0;
+			upgradeState(state);
+			return new this(version < this.stateVersion
+				? this.migrateState(state, version)
+				: state);
+		};
+	}
+	
+	
+	/**
+	 * Upgrade state saved by an earlier version of a subclass.
+	 *
+	 * Subclasses which change what they serialise should increase their
+	 * {@link #stateVersion} and override this method to convert older state.
+	 * It's only called if the saved version is older than the current one.
+	 *
+	 * @example
+	 *   static migrateState(state, version){
+	 *       if(version < 2) state.zoom = state.scale;
+	 *       return state;
+	 *   }
+	 * @param {Object} state - Deserialised state, in the current format used by the base class
+	 * @param {Number} version - Value of {@link #stateVersion} when state was saved
+	 * @return {Object}
+	 * @public
+	 */
+	static migrateState(state){
+		return state;
 	}
 	
 	
 	/**
 	 * Generate a serialisable representation of the view instance.
+	 *
+	 * The source's text is included if it can't be recovered from disk,
+	 * such as when an editor hasn't been saved or its file was deleted.
+	 *
 	 * @param {Object} [extraProps={}] - Additional properties to save
 	 * @return {Object}
 	 * @public
 	 */
 	serialize(extraProps = {}){
+		const path = this.getPath();
+		const unsaved = this.detached || !path || this.editor && this.editor.isModified();
 		return {
 			deserializer: this.constructor.name,
-			filePath: this.filePath,
-			editorId: this.editorId,
-			offsets:  [this.element.scrollLeft, this.element.scrollTop],
-			title:    this.getTitle(),
+			version:      STATE_VERSION,
+			stateVersion: this.constructor.stateVersion,
+			filePath:     path || this.filePath,
+			editorId:     this.editorId,
+			following:    this.following,
+			autoRefresh:  this.autoRefresh,
+			offsets:      [this.output.scrollLeft, this.output.scrollTop],
+			zoom:         this.zoom,
+			zoomMode:     this.zoomMode,
+			page:         this.pager.current || this.restoredPage || undefined,
+			pageLayout:   this.pager.layout,
+			title:        this.getTitle(),
+			source:       unsaved && null != this.sourceSnapshot ? this.sourceSnapshot : undefined,
 			...extraProps,
 		};
 	}
@@ -106,6 +435,22 @@ class AtomLiveView{
 	}
 	
 	
+	/**
+	 * Return the first {@link TextEditor} editing the given file.
+	 *
+	 * Used when an editor's ID has changed between sessions.
+	 *
+	 * @param {String} path
+	 * @return {TextEditor|null}
+	 * @internal
+	 */
+	editorForPath(path){
+		for(const editor of atom.workspace.getTextEditors())
+			if(path === editor.getPath()) return editor;
+		return null;
+	}
+	
+	
 	
 	getTitle(){
 		return this.file && this.getPath()
@@ -123,7 +468,7 @@ class AtomLiveView{
 	
 	getURI(){
 		const {protocolName} = this.constructor;
-		return this.file
+		return this.file || !this.editor && this.filePath
 			? protocolName + "://source:file@"   + this.getPath()
 			: protocolName + "://source:editor@" + this.editorId;
 	}
@@ -134,174 +479,1992 @@ class AtomLiveView{
 			? this.file.getPath()
 			: this.editor
 				? this.editor.getPath()
-				: this.cachedPath;
+				: this.filePath;
 	}
 	
 	
 	handleEvents(){
-		const onChange = () => {
-			if(this.autoRefresh){
-				this.render();
-				const pane = atom.workspace.paneForItem(this);
-				if(pane && pane !== atom.workspace.getActivePane())
-					pane.activateItem(this);
-			}
-		};
+		const onChange = trigger => this.handleSourceChange(trigger);
 		if(this.file)
-			this.disposables.add(this.file.onDidChange(onChange));
+			this.disposables.add("source", this.file.onDidChange(() => onChange("save")));
 		else if(this.editor){
 			const buffer = this.editor.getBuffer();
-			this.disposables.add(
-				buffer.onDidStopChanging(onChange),
-				buffer.onDidSave(onChange),
-				buffer.onDidReload(onChange),
-				this.editor.onDidChangePath(() => this.emitter.emit("did-change-title"))
+			const onScroll = () => this.scrollSync && this.lockScroll("preview", this.syncEditorScroll);
+			this.output.addEventListener("scroll", onScroll, {passive: true});
+			this.disposables.add("source",
+				buffer.onDidChange(() => onChange("edit")),
+				buffer.onDidSave(() => onChange("save")),
+				buffer.onDidReload(() => onChange("save")),
+				this.editor.onDidChangePath(() => {
+					this.filePath = this.editor.getPath();
+					this.emitter.emit("did-change-title");
+				}),
+				this.editor.element.onDidChangeScrollTop(() =>
+					this.scrollSync && this.lockScroll("editor", this.syncPreviewScroll)),
+				this.editor.onDidChangeCursorPosition(({newBufferPosition}) =>
+					this.scrollSync && this.lockScroll("editor", () => this.revealSourcePosition(newBufferPosition))),
+				new Disposable(() => this.output.removeEventListener("scroll", onScroll)),
 			);
 		}
 	}
 	
 	
+	/**
+	 * Respond to a modification of the source, or one of its dependencies.
+	 *
+	 * Depending on the package's `renderMode` setting, the preview is either
+	 * refreshed or marked as outdated.
+	 *
+	 * @param {String} trigger - Either "edit" or "save"
+	 * @param {Boolean} [force=false] - Whether to bypass the render cache
+	 * @internal
+	 */
+	handleSourceChange(trigger, force = false){
+		if(!this.shouldAutoRefresh(trigger)){
+			force && (this.bypassCache = true);
+			this.markStale();
+			return;
+		}
+		this.refresh("edit" === trigger ? this.getConfig("typingDelay") : undefined, force);
+		const pane = atom.workspace.paneForItem(this);
+		if(pane && pane !== atom.workspace.getActivePane())
+			pane.activateItem(this);
+	}
+	
+	
+	/**
+	 * Determine if a change should redraw the preview, or merely mark it as outdated.
+	 *
+	 * Changes are only rendered automatically if {@link #autoRefresh} is enabled,
+	 * and the package's `renderMode` setting permits it. Unsaved edits are
+	 * ignored in "save" mode, and nothing is rendered in "manual" mode.
+	 *
+	 * @param {String} trigger - Either "edit", "save" or "config"
+	 * @return {Boolean}
+	 * @internal
+	 */
+	shouldAutoRefresh(trigger){
+		const mode = this.getConfig("renderMode");
+		return this.autoRefresh && "manual" !== mode && !("save" === mode && "edit" === trigger);
+	}
+	
+	
+	/**
+	 * Retrieve the text being previewed.
+	 *
+	 * If the source has been deleted or closed, the text last read from it
+	 * is returned instead.
+	 *
+	 * @return {Promise<String>}
+	 * @public
+	 */
 	async getSource(){
 		await this.waitToLoad();
+		let source;
 		if(this.file && this.file.getPath()){
-			const source = await this.file.read();
+			source = await this.file.read();
 			if(null == source)
 				throw new Error(`Unable to load ${this.file.getBaseName()}`);
-			return source;
 		}
 		else if(this.editor)
-			return this.editor.getText();
+			source = this.editor.getText();
+		else if(null != this.sourceSnapshot)
+			return this.sourceSnapshot;
 		else throw new Error("Unable to locate source");
+		return this.sourceSnapshot = source;
 	}
 	
 	
-	observeConfig(...keys){
-		this.observedKeys.add(...keys);
-	}
-	unobserveConfig(...keys){
-		this.observedKeys.delete(...keys);
+	/**
+	 * Register a file which the output being rendered depends upon.
+	 *
+	 * Called from {@link #render} for every file the source includes. The
+	 * preview is refreshed whenever a dependency is modified, deleted or
+	 * renamed, or edited in an editor which hasn't been saved. Dependencies
+	 * which aren't registered again by the next render stop being watched.
+	 *
+	 * Renders which call this asynchronously should pass their signal, so
+	 * dependencies reported after they've been superseded are ignored.
+	 * Outside of a render, the file is added to those already watched.
+	 *
+	 * @example this.addDependency("macros/tmac.local", signal);
+	 * @param {String} path - Path relative to the source's directory
+	 * @param {AbortSignal} [signal] - Signal of the render reporting the dependency
+	 * @return {String} The absolute path of the dependency.
+	 * @public
+	 */
+	addDependency(path, signal = null){
+		path = this.resolvePath(path);
+		const context = this.getRenderContext(signal);
+		if(context)
+			context.dependencies.add(path);
+		else if(!this.renderContext && !signal)
+			this.dependencies.set([...this.dependencies.paths, path]);
+		return path;
 	}
 	
 	
-	async render(){
-		
+	/**
+	 * Register a dependency and read its contents.
+	 *
+	 * If the file is open in an editor, the editor's (possibly unsaved) text
+	 * is returned instead of what's stored on disk.
+	 *
+	 * @param {String} path - Path relative to the source's directory
+	 * @param {AbortSignal} [signal] - Signal of the render reading the dependency
+	 * @return {Promise<String>}
+	 * @public
+	 */
+	async readDependency(path, signal = null){
+		return this.dependencies.read(this.addDependency(path, signal));
 	}
 	
 	
 	/**
-	 * Restore scroll offsets saved from the last workspace session.
-	 * @internal
+	 * Resolve a path relative to the directory of the source.
+	 *
+	 * @example view.resolvePath("../image.png") == "/path/to/image.png";
+	 * @param {String} path
+	 * @return {String}
+	 * @public
 	 */
-	restoreOffsets(){
-		if(Array.isArray(this.offsets)){
-			this.element.scrollLeft = +this.offsets[0] || 0;
-			this.element.scrollTop  = +this.offsets[1] || 0;
-		}
-		this.offsets = null;
+	resolvePath(path){
+		path = String(path);
+		if(/^file:\/\//i.test(path))
+			path = decodeURIComponent(path.replace(/^file:\/\/(?:localhost)?/i, "").replace(/[?#].*$/, ""))
+				.replace(/^\/([A-Za-z]:)/, "$1");
+		const source = this.getPath();
+		return source
+			? resolve(dirname(source), path)
+			: resolve(path);
 	}
 	
 	
 	/**
-	 * Return a {@link Promise} that resolves once every package has loaded.
-	 * @return {Promise}
-	 * @internal
+	 * Resolve a relative URL against the directory of the source.
+	 *
+	 * URLs which specify a protocol, or consist only of a fragment identifier,
+	 * are returned unmodified.
+	 *
+	 * @example view.resolveURL("image.png") == "file:///path/to/image.png";
+	 * @param {String} url
+	 * @return {String}
+	 * @public
 	 */
-	async waitToLoad(){
-		if(!atom.packages.hasActivatedInitialPackages())
-			return new Promise(resolve => this.disposables.add(
-				atom.packages.onDidActivateInitialPackages(() => resolve())));
+	resolveURL(url){
+		url = String(url);
+		if(!url || /^(?:[a-z][-+.\w]*:|#|\/\/)/i.test(url)) return url;
+		const [, path, suffix] = url.match(/^([^?#]*)(.*)$/);
+		const absolute = this.resolvePath(decodeURIComponent(path)).replace(/\\/g, "/");
+		return "file://"
+			+ ("/" === absolute[0] ? "" : "/")
+			+ encodeURI(absolute).replace(/[?#]/g, encodeURIComponent)
+			+ suffix;
 	}
 	
 	
-	watchFile(path){
-		this.file = new File(path);
-		this.emitter.emit("did-change-title");
-		this.disposables.add(this.file.onDidRename(() => this.emitter.emit("did-change-title")));
-		this.handleEvents();
-		this.render().then(() => this.restoreOffsets());
+	/**
+	 * Resolve relative URLs used by images, stylesheets and other embedded content.
+	 *
+	 * Hyperlinks are left untouched.
+	 *
+	 * @param {Node} root
+	 * @internal
+	 */
+	resolveURLs(root){
+		for(const [name, selector] of URL_ATTRIBUTES)
+			for(const element of root.querySelectorAll(selector)){
+				const value = element.getAttribute(name);
+				if(null == value) continue;
+				const url = this.resolveURL(value);
+				url !== value && element.setAttribute(name, url);
+			}
 	}
 	
 	
-	
-	static get createView(){
-		return (state = {}) => {
-			const id   = state.editorId;
-			const path = state.filePath;
-			if(id || path && existsSync(path) && statSync(path).isFile())
-				return new this(state);
-		};
-	}
-	
-
-	static get opener(){
-		return uri => {
-			let [protocol, ...path] = uri.split("://");
-			if(protocol !== this.protocolName) return;
-			try{ path = decodeURI(path.join("://")); }
-			catch(e){ return; }
-			
-			return path.startsWith("source:editor@")
-				? this.createView({editorId: path.substring(14)})
-				: this.createView({filePath: path.replace(/^source:file@/i, "")});
-		};
+	/**
+	 * Record changes to observed config keys for the next call to {@link #render}.
+	 *
+	 * @param {Map} changes
+	 * @internal
+	 */
+	queueConfigChanges(changes){
+		for(const [key, {oldValue, newValue}] of changes){
+			const queued = this.configChanges.get(key);
+			queued
+				? queued.newValue = newValue
+				: this.configChanges.set(key, {oldValue, newValue});
+		}
 	}
 	
 	
-	static get toggle(){
-		return () => {
-			if(atom.workspace.getActivePaneItem() instanceof this){
-				atom.workspace.destroyActivePaneItem();
-				return;
-			}
-			
-			const editor = atom.workspace.getActiveTextEditor();
-			if(!editor) return;
-			this.remove(editor) || this.add(editor);
-		};
+	/**
+	 * Retrieve the value of a setting in the package's namespace.
+	 *
+	 * @example view.getConfig("renderMode") == atom.config.get("roff-preview.renderMode");
+	 * @param {String} name
+	 * @return {*}
+	 * @public
+	 */
+	getConfig(name){
+		return atom.config.get(`${this.constructor.packageName}.${name}`);
 	}
 	
 	
-	static get add(){
-		return editor => {
-			const uri  = this.uriForEditor(editor);
-			const pane = atom.workspace.getActivePane();
-			const opts = {searchAllPanes: true};
-			if(this.shouldSplit)
-				opts.split = "right";
-			atom.workspace.open(uri, opts).then(view => {
-				if(pane && (view instanceof this))
-					pane.activate();
-			});
-		};
+	observeConfig(...keys){
+		this.observedKeys.add(...keys);
 	}
-	
-	
-	static get remove(){
-		return editor => {
-			const uri  = this.uriForEditor(editor);
-			const pane = atom.workspace.paneForURI(uri);
-			if(pane){
-				pane.destroyItem(pane.itemForURI(uri));
-				return true;
-			}
-			return false;
-		};
+	unobserveConfig(...keys){
+		this.observedKeys.delete(...keys);
 	}
 	
 	
-	static get uriForEditor(){
-		return editor => `${this.protocolName}://source:editor@${editor.id}`;
+	/**
+	 * Retrieve the current values of every observed config key.
+	 *
+	 * @example view.getObservedValues() == {"editor.fontSize": 14};
+	 * @return {Object}
+	 * @public
+	 */
+	getObservedValues(){
+		const values = {};
+		for(const [key, value] of this.observedKeys.lastValues)
+			values[key] = value;
+		return values;
 	}
 	
 	
-	static get iconName()     { return "device-desktop"; }
-	static get protocolName() { return "atom-live-view"; }
-	static get shouldSplit()  { return true; }
-	static get slug(){
-		return this.name
-			.replace(/([a-z]+)([A-Z])/g, (_, a, B) => `${a}-${B}`)
+	/**
+	 * Generate the preview's output.
+	 *
+	 * Subclasses override this method to return either a string of HTML or
+	 * a DOM node, which replaces the previous output once rendering finishes.
+	 * Output may instead be written to {@link #output} directly, in which
+	 * case it is the subclass's responsibility to respect the abort signal.
+	 *
+	 * Nodes must be created with the document returned by {@link #getOutputDocument},
+	 * not the global `document`. Otherwise, sandboxed views would run the event
+	 * handlers of untrusted markup (such as `onerror`) inside Atom's window.
+	 *
+	 * Errors thrown while rendering are displayed above the last output,
+	 * which remains visible until the next successful render.
+	 *
+	 * The signal is aborted if another render is requested before this one
+	 * completes. Output returned by an aborted render is discarded.
+	 *
+	 * Renders may be triggered by changes to {@link #observedKeys}, which are
+	 * reported in the same format used by {@link ObservedKeyList#callback}.
+	 * Subclasses can use this to skip work that a change doesn't affect.
+	 *
+	 * If the class specifies a {@link #renderModule}, the default implementation
+	 * hands the source to it in a separate process. See {@link #renderInWorker}.
+	 *
+	 * Multi-page documents should return an array of elements created by
+	 * {@link #createPage}, which are navigated using the view's page commands.
+	 *
+	 * Classes which set a {@link #cacheSize} must only render what depends on
+	 * the source, its path, observed config keys and registered dependencies.
+	 * Cached output is reused whenever these are unchanged, so anything else
+	 * read by this method (such as unobserved settings) may go stale.
+	 *
+	 * @param {AbortSignal} signal
+	 * @param {Map} changes - Observed config keys changed since the last successful render
+	 * @return {Promise<String|Node|Node[]|void>}
+	 * @abstract
+	 */
+	async render(signal){
+		if(this.constructor.renderModule)
+			return this.renderInWorker(signal);
+	}
+	
+	
+	/**
+	 * Render the preview's source using the class's {@link #renderModule}.
+	 *
+	 * The module runs in a child process (or a worker thread, if the class sets
+	 * {@link #renderThreaded}), which is started on first use and shared by later
+	 * renders. Its output is returned as a string of HTML. Fragments emitted by
+	 * the module are displayed as they arrive, at most once per animation frame.
+	 *
+	 * Besides the source, the module receives an `options` object holding the
+	 * path of the source, and the current values of any observed config keys.
+	 *
+	 * @param {AbortSignal} signal
+	 * @param {Object} [options] - Additional data passed to the render module
+	 * @return {Promise<String>}
+	 * @public
+	 */
+	async renderInWorker(signal, options = {}){
+		const source = await this.getSource();
+		if(signal && signal.aborted) return;
+		if(!this.renderWorker)
+			this.renderWorker = new RenderWorker(this.constructor.renderModule, {
+				timeout:  this.constructor.renderTimeout,
+				threaded: this.constructor.renderThreaded,
+			});
+		let received = "";
+		let frame = null;
+		const onFragment = data => {
+			received += data;
+			if(null === frame) frame = requestAnimationFrame(() => {
+				frame = null;
+				if(this.emitter && !(signal && signal.aborted))
+					this.displayOutput(received);
+			});
+		};
+		try{
+			return await this.renderWorker.render(source, {
+				signal,
+				onFragment,
+				options: {path: this.getPath(), config: this.getObservedValues(), ...options},
+			});
+		}
+		finally{
+			cancelAnimationFrame(frame);
+		}
+	}
+	
+	
+	/**
+	 * Render the preview's source by piping it through an external program.
+	 *
+	 * The program runs in the source file's directory, and is killed if the
+	 * render is superseded or exceeds the class's {@link #renderTimeout}.
+	 * Anything it writes to stderr is displayed above the output; if it exits
+	 * with an error, its diagnostics are reported as a failed render.
+	 *
+	 * @example <caption>Previewing a manual page</caption>
+	 *   render(signal){
+	 *       return this.renderCommand(signal, "groff", ["-Thtml", "-man"]);
+	 *   }
+	 *
+	 * @param {AbortSignal} signal
+	 * @param {String} command - Name or path of the program to run
+	 * @param {String[]} [args=[]] - Arguments passed to the program
+	 * @param {Object} [options={}] - Options passed to {@link runCommand}
+	 * @return {Promise<String>} Whatever the program wrote to stdout.
+	 * @public
+	 */
+	async renderCommand(signal, command, args = [], options = {}){
+		const input = await this.getSource();
+		const path  = this.getPath();
+		const {stdout, stderr} = await runCommand(command, args, {
+			input,
+			signal,
+			cwd: path ? dirname(path) : undefined,
+			timeout: this.constructor.renderTimeout,
+			...options,
+		});
+		const context = this.getRenderContext(signal);
+		if(context && stderr.trim())
+			context.diagnostics += stderr;
+		return stdout;
+	}
+	
+	
+	/**
+	 * Schedule a redraw of the preview's output.
+	 *
+	 * Requests made in quick succession are coalesced into one render.
+	 * Renders which are still in progress are aborted.
+	 *
+	 * If the class enables caching with {@link #cacheSize}, unchanged source
+	 * is redisplayed from {@link #renderCache} instead of being rendered
+	 * again, unless the refresh is forced.
+	 *
+	 * @param {Number} [delay] - Milliseconds to wait for further requests
+	 * @param {Boolean} [force=false] - Whether to bypass the render cache
+	 * @return {Promise} Resolves once the preview has been redrawn, or has failed to.
+	 * @public
+	 */
+	refresh(delay, force = false){
+		if(force) this.bypassCache = true;
+		return this.renderScheduler.schedule(delay);
+	}
+	
+	
+	/**
+	 * Toggle whether the preview refreshes itself when its source changes.
+	 *
+	 * Outdated previews are refreshed immediately when re-enabled.
+	 * Has no effect if the package's render mode is set to "manual".
+	 *
+	 * @return {Boolean} The new value of {@link #autoRefresh}.
+	 * @public
+	 */
+	toggleAutoRefresh(){
+		this.autoRefresh = !this.autoRefresh;
+		if(this.autoRefresh && this.isStale())
+			this.refresh();
+		return this.autoRefresh;
+	}
+	
+	
+	/**
+	 * Flag the preview's output as outdated, or clear the flag.
+	 *
+	 * @param {Boolean} [stale=true]
+	 * @internal
+	 */
+	markStale(stale = true){
+		this.staleIndicator.hidden = !stale;
+		this.element.classList.toggle("stale", !!stale);
+	}
+	
+	
+	/**
+	 * Whether the source has changed since the preview was last rendered.
+	 * @return {Boolean}
+	 * @public
+	 */
+	isStale(){
+		return !this.staleIndicator.hidden;
+	}
+	
+	
+	/**
+	 * Call {@link #render} and display its output, unless it was superseded.
+	 *
+	 * Errors are caught and displayed in {@link #errorOverlay}, rather than
+	 * rejecting the promises returned by {@link #refresh}.
+	 *
+	 * @param {AbortSignal} signal
+	 * @return {Promise}
+	 * @internal
+	 */
+	async performRender(signal){
+		const startTime = performance.now();
+		const timing = () => {
+			const endTime = performance.now();
+			return {startTime, endTime, duration: endTime - startTime};
+		};
+		this.emitter.emit("did-start-render", {startTime});
+		
+		// Hold onto config changes until they've been rendered successfully
+		const changes = this.configChanges;
+		this.configChanges = new Map();
+		const bypass = this.bypassCache;
+		this.bypassCache = false;
+		const requeue = () => {
+			const newer = this.configChanges;
+			this.configChanges = changes;
+			this.queueConfigChanges(newer);
+			this.bypassCache = this.bypassCache || bypass;
+		};
+		
+		// Reuse earlier output if the source and config haven't changed
+		const cacheKey = await this.getCacheKey();
+		const cached = cacheKey && !bypass
+			? this.renderCache.get(cacheKey)
+			: undefined;
+		
+		// Collect whatever the render reports, until it finishes or is superseded
+		let output;
+		const context = {
+			signal,
+			dependencies: cached ? cached.dependencies : new Set(),
+			diagnostics:  cached ? cached.diagnostics  : "",
+			pages:        new Map(),
+		};
+		const {dependencies, pages} = context;
+		try{
+			if(cached)
+				output = cached.output;
+			else{
+				// Partial output may be displayed before the render finishes (or fails)
+				this.lastCacheKey = null;
+				this.renderContext = context;
+				output = await this.render(signal, changes);
+			}
+		}
+		catch(error){
+			if(!this.emitter) return;
+			requeue();
+			if(signal.aborted){
+				this.emitter.emit("did-cancel-render", timing());
+				return;
+			}
+			// Keep watching earlier dependencies, in case the error was caused by one
+			this.dependencies.set([...this.dependencies.paths, ...dependencies]);
+			this.errorOverlay.show(error);
+			this.emitter.emit("did-fail-render", {error, ...timing()});
+			return;
+		}
+		finally{
+			if(this.renderContext === context)
+				this.renderContext = null;
+		}
+		if(!this.emitter) return;
+		if(signal.aborted){
+			requeue();
+			this.emitter.emit("did-cancel-render", timing());
+			return;
+		}
+		this.dependencies.set(dependencies);
+		if(cacheKey && "string" === typeof output && !cached)
+			this.renderCache.set(cacheKey, {output, diagnostics: context.diagnostics, dependencies});
+		if(undefined !== output && !(cached && cacheKey === this.lastCacheKey))
+			this.displayOutput(output, pages);
+		this.lastCacheKey = "string" === typeof output ? cacheKey : null;
+		context.diagnostics
+			? this.errorOverlay.warn(context.diagnostics)
+			: this.errorOverlay.hide();
+		this.markStale(false);
+		this.deferredOutput || this.updateLayout();
+		this.emitter.emit("did-finish-render", {output, cached: !!cached, ...timing()});
+	}
+	
+	
+	/**
+	 * Retrieve whatever's been collected by the render in progress.
+	 *
+	 * The context holds the render's `dependencies`, `diagnostics` and `pages`,
+	 * as reported by {@link #addDependency}, {@link #renderCommand} and
+	 * {@link #createPage} respectively.
+	 *
+	 * @param {AbortSignal} [signal] - Signal of the render making the request
+	 * @return {?Object} Null if no render is in progress, or if the
+	 *   render making the request has been aborted or superseded.
+	 * @internal
+	 */
+	getRenderContext(signal = null){
+		const context = this.renderContext;
+		if(!context || context.signal.aborted || signal && signal !== context.signal)
+			return null;
+		return context;
+	}
+	
+	
+	/**
+	 * Generate a key identifying the input of the next render.
+	 *
+	 * @return {Promise<?String>} Null if caching is disabled, or the source can't be read.
+	 * @internal
+	 */
+	async getCacheKey(){
+		if(!this.renderCache) return null;
+		try{
+			const source = await this.getSource();
+			return RenderCache.hash(source, this.getObservedValues(), this.getPath());
+		}
+		catch(e){ return null; }
+	}
+	
+	
+	/**
+	 * Replace the preview's content with new output.
+	 *
+	 * Unless the class disables {@link #patchOutput}, the new output is merged
+	 * into the existing content, and only those nodes which have changed are
+	 * touched. This preserves selections, focus, expanded `<details>` elements
+	 * and the scroll positions of nested containers.
+	 *
+	 * Sandboxed output is held back until the sandbox's frame has loaded,
+	 * and is parsed inside the frame's document instead of Atom's.
+	 *
+	 * @param {String|Node|Node[]} output
+	 * @param {Map} [pages] - Loaders of lazy pages, as registered by {@link #createPage}
+	 * @internal
+	 */
+	displayOutput(output, pages = new Map()){
+		if(this.sandbox && !this.sandbox.mounted){
+			this.deferredOutput = {output, pages};
+			return;
+		}
+		this.deferredOutput = null;
+		const doc = this.output.ownerDocument;
+		if(Array.isArray(output)){
+			const fragment = doc.createDocumentFragment();
+			fragment.append(...output);
+			output = fragment;
+		}
+		this.findBar.clearHighlights();
+		if(!this.constructor.patchOutput){
+			if(isNode(output)){
+				while(this.output.firstChild)
+					this.output.removeChild(this.output.firstChild);
+				this.output.appendChild(output);
+			}
+			else this.output.innerHTML = null == output ? "" : String(output);
+			this.resolveURLs(this.output);
+		}
+		else{
+			let source = output;
+			if(!isNode(output)){
+				const template = doc.createElement("template");
+				template.innerHTML = null == output ? "" : String(output);
+				source = template.content;
+			}
+			else if(Node.DOCUMENT_FRAGMENT_NODE !== output.nodeType){
+				source = doc.createDocumentFragment();
+				source.appendChild(output);
+			}
+			this.resolveURLs(source);
+			patchDOM(this.output, source);
+		}
+		this.pager.update(pages);
+	}
+	
+	
+	/**
+	 * Display output which was held back until the sandbox's frame loaded.
+	 * @internal
+	 */
+	displayDeferredOutput(){
+		const {output, pages} = this.deferredOutput;
+		this.displayOutput(output, pages);
+		this.updateLayout();
+	}
+	
+	
+	/**
+	 * Reapply highlights, magnification and scroll position to new output.
+	 * @internal
+	 */
+	updateLayout(){
+		if(this.findBar.visible)
+			this.findBar.search(true);
+		if(this.zoomMode)
+			this.applyZoomMode();
+		if(this.restoredPage && this.pager.count){
+			this.pager.goTo(this.restoredPage);
+			this.restoredPage = 0;
+		}
+		if(this.offsets)
+			this.restoreOffsets();
+		else if(this.scrollSync)
+			this.lockScroll("editor", this.syncPreviewScroll);
+	}
+	
+	
+	/**
+	 * Retrieve the document in which output should be created.
+	 *
+	 * For sandboxed views, this is the document of the sandbox's frame, or an
+	 * inert document which neither loads resources nor runs event handlers
+	 * if the frame hasn't loaded yet. Otherwise, it's Atom's own document.
+	 *
+	 * @example
+	 *   const doc = this.getOutputDocument();
+	 *   const svg = doc.createElementNS("http://www.w3.org/2000/svg", "svg");
+	 * @return {Document}
+	 * @public
+	 */
+	getOutputDocument(){
+		return this.sandbox
+			? this.sandbox.targetDocument
+			: this.output.ownerDocument;
+	}
+	
+	
+	/**
+	 * Create an element holding one page of output.
+	 *
+	 * Content can be supplied as a function, which isn't called until the page
+	 * is scrolled near the viewport. This avoids rendering every page of a long
+	 * document up-front. Lazy pages are blank placeholders until then, so their
+	 * dimensions should be specified to keep the scrollbar accurate.
+	 *
+	 * Pages should only be created during {@link #render}, and returned as part
+	 * of its output.
+	 *
+	 * @example <caption>Rendering pages on demand</caption>
+	 *   async render(signal){
+	 *       const doc = await parse(await this.getSource());
+	 *       return doc.pages.map(page => this.createPage(
+	 *           () => page.toSVG(),
+	 *           {width: page.width, height: page.height, signal},
+	 *       ));
+	 *   }
+	 * @param {String|Node|Function} content
+	 *   HTML or a node to display, or a function which returns either. The
+	 *   function is passed the page's element, and may return a promise.
+	 * @param {Object} [options={}]
+	 * @param {Number|String} [options.width] - Width of the page, in pixels or as a CSS length
+	 * @param {Number|String} [options.height] - Height of the page, in pixels or as a CSS length
+	 * @param {AbortSignal} [options.signal] - Signal of the render creating the page
+	 * @return {HTMLElement}
+	 * @public
+	 */
+	createPage(content, {width, height, signal = null} = {}){
+		const context = this.getRenderContext(signal);
+		const pages = context ? context.pages : new Map();
+		const number = String(pages.size + 1);
+		
+		const page = this.getOutputDocument().createElement("div");
+		page.className = "live-view-page";
+		page.dataset.page = number;
+		if(null != width)  page.style.width  = "number" === typeof width  ? `${width}px`  : width;
+		if(null != height) page.style.height = "number" === typeof height ? `${height}px` : height;
+		if("function" === typeof content){
+			page.dataset.lazy = number;
+			pages.set(number, content);
+		}
+		else{
+			pages.set(number, null);
+			if(isNode(content))
+				page.appendChild(content);
+			else page.innerHTML = null == content ? "" : String(content);
+		}
+		return page;
+	}
+	
+	
+	/**
+	 * Fill a lazy page with the content generated for it.
+	 *
+	 * @param {HTMLElement} page
+	 * @param {String|Node} content
+	 * @internal
+	 */
+	displayPage(page, content){
+		this.findBar.clearHighlights();
+		while(page.firstChild)
+			page.removeChild(page.firstChild);
+		if(isNode(content))
+			page.appendChild(content);
+		else page.innerHTML = null == content ? "" : String(content);
+		this.resolveURLs(page);
+		if(this.findBar.visible)
+			this.findBar.search(true);
+	}
+	
+	
+	/**
+	 * Associate an element of rendered output with a range of source text.
+	 *
+	 * Tagged elements are used to keep the preview's scroll position in
+	 * sync with that of {@link #editor}. Renderers which generate markup
+	 * may add `data-source-range` attributes directly instead.
+	 *
+	 * @example view.mapSource(paragraph, [[4, 0], [7, 12]]);
+	 * @param {HTMLElement} element
+	 * @param {Range|Point|Number|String|Array} range
+	 * @return {HTMLElement}
+	 * @public
+	 */
+	mapSource(element, range){
+		return SourceMap.tag(element, range);
+	}
+	
+	
+	/**
+	 * Move the cursor of the source editor to a mapped position.
+	 *
+	 * If the preview was opened from a file, or its editor has since
+	 * been closed, the file is opened in a new editor first.
+	 *
+	 * @param {Node|Point|Range|Array} target
+	 *   A position in the source, or a node of output whose mapped range
+	 *   (or that of its nearest mapped ancestor) should be jumped to.
+	 * @return {Promise<?TextEditor>}
+	 *   The activated editor, or null if the target or editor couldn't be found.
+	 * @public
+	 */
+	async jumpToSource(target){
+		let point = target && target.nodeType > 0
+			? this.sourceMap.rangeForElement(target)
+			: target;
+		if(null == point) return null;
+		point = Range.isRange(point) || Array.isArray(point) && Array.isArray(point[0])
+			? Range.fromObject(point).start
+			: Point.fromObject(point);
+		
+		const editor = await this.openSource();
+		if(!editor) return null;
+		editor.setCursorBufferPosition(point);
+		editor.scrollToBufferPosition(point, {center: true});
+		return editor;
+	}
+	
+	
+	/**
+	 * Activate the editor being previewed, opening the source file if needed.
+	 *
+	 * @return {Promise<?TextEditor>}
+	 * @public
+	 */
+	async openSource(){
+		let editor = this.editor && this.editor.isAlive()
+			? this.editor
+			: this.editorForId(this.editorId);
+		if(editor){
+			const pane = atom.workspace.paneForItem(editor);
+			if(pane){
+				pane.activateItem(editor);
+				pane.activate();
+			}
+			return editor;
+		}
+		const path = this.getPath();
+		if(!path) return null;
+		const opts = {searchAllPanes: true};
+		if(this.constructor.shouldSplit)
+			opts.split = "left";
+		editor = await atom.workspace.open(path, opts);
+		return atom.workspace.isTextEditor(editor) ? editor : null;
+	}
+	
+	
+	/**
+	 * Jump to the source of clicked output, unless text was being selected.
+	 *
+	 * @param {MouseEvent} event
+	 * @internal
+	 */
+	handleClick(event){
+		if(!this.jumpOnClick || event.button !== 0 || event.defaultPrevented) return;
+		if(event.target.closest("a[href], button, input, label, select, summary, textarea")) return;
+		const selection = this.output.ownerDocument.getSelection();
+		if(selection && !selection.isCollapsed) return;
+		if(this.sourceMap.elementForNode(event.target))
+			this.jumpToSource(event.target);
+	}
+	
+	
+	/**
+	 * Register commands and context-menu items for the view's element.
+	 * @internal
+	 */
+	registerCommands(){
+		const {slug} = this.constructor;
+		this.disposables.add(
+			atom.commands.add(this.element, {
+				"core:copy": () => this.copy(),
+				[`${slug}:copy`]: () => this.copy(),
+				[`${slug}:go-to-source`]: event => {
+					const {sandbox} = this;
+					this.jumpToSource(sandbox && sandbox.element === event.target ? sandbox.contextTarget : event.target);
+				},
+				[`${slug}:refresh`]: () => this.refresh(0, true),
+				[`${slug}:toggle-auto-refresh`]: () => this.toggleAutoRefresh(),
+				[`${slug}:save-as`]: () => {
+					const pane = atom.workspace.paneForItem(this);
+					pane && pane.saveItemAs(this);
+				},
+				[`${slug}:zoom-in`]:    () => this.zoomIn(),
+				[`${slug}:zoom-out`]:   () => this.zoomOut(),
+				[`${slug}:reset-zoom`]: () => this.resetZoom(),
+				[`${slug}:fit-width`]:  () => this.fitWidth(),
+				[`${slug}:fit-page`]:   () => this.fitPage(),
+				[`${slug}:find`]:       () => this.find(),
+				[`${slug}:next-page`]:          () => this.pager.next(),
+				[`${slug}:previous-page`]:      () => this.pager.previous(),
+				[`${slug}:first-page`]:         () => this.pager.first(),
+				[`${slug}:last-page`]:          () => this.pager.last(),
+				[`${slug}:go-to-page`]:         () => this.pager.prompt(),
+				[`${slug}:toggle-page-layout`]: () => this.pager.toggleLayout(),
+				"find-and-replace:show": event => {
+					event.stopPropagation();
+					this.find();
+				},
+				"find-and-replace:find-next": event => {
+					event.stopPropagation();
+					this.findBar.visible ? this.findBar.next() : this.find();
+				},
+				"find-and-replace:find-previous": event => {
+					event.stopPropagation();
+					this.findBar.visible ? this.findBar.previous() : this.find();
+				},
+				"core:cancel": event => this.findBar.visible
+					? this.findBar.hide()
+					: event.abortKeyBinding(),
+			}),
+			atom.contextMenu.add({
+				[`.${slug} [${SourceMap.attribute}], .${slug} .live-view-sandbox.source-mapped`]: [
+					{label: "Go to Source", command: `${slug}:go-to-source`},
+				],
+				[`.${slug}`]: [
+					{label: "Copy",     command: `${slug}:copy`},
+					{label: "Find…",    command: `${slug}:find`},
+					{label: "Refresh",  command: `${slug}:refresh`},
+					{label: "Save As…", command: `${slug}:save-as`},
+					{label: "Zoom", submenu: [
+						{label: "Zoom In",    command: `${slug}:zoom-in`},
+						{label: "Zoom Out",   command: `${slug}:zoom-out`},
+						{label: "Reset Zoom", command: `${slug}:reset-zoom`},
+						{type: "separator"},
+						{label: "Fit Width",  command: `${slug}:fit-width`},
+						{label: "Fit Page",   command: `${slug}:fit-page`},
+					]},
+				],
+				[`.${slug}.paged`]: [
+					{label: "Page", submenu: [
+						{label: "Next Page",          command: `${slug}:next-page`},
+						{label: "Previous Page",      command: `${slug}:previous-page`},
+						{label: "First Page",         command: `${slug}:first-page`},
+						{label: "Last Page",          command: `${slug}:last-page`},
+						{label: "Go to Page…",        command: `${slug}:go-to-page`},
+						{type: "separator"},
+						{label: "Toggle Page Layout", command: `${slug}:toggle-page-layout`},
+					]},
+				],
+			}),
+		);
+	}
+	
+	
+	/**
+	 * Open the find bar, searching for the selected text if there is any.
+	 * @public
+	 */
+	find(){
+		const range = this.getSelectedRange();
+		const text  = range ? range.toString() : "";
+		this.findBar.show(/[\n\r]/.test(text) ? "" : text);
+	}
+	
+	
+	/**
+	 * Change the preview's magnification.
+	 *
+	 * The level is clamped to the range allowed by {@link #zoomLimits}, and
+	 * the output is scrolled to keep the origin point in the same place.
+	 *
+	 * @param {Number} level - Scale factor, where 1 is actual size
+	 * @param {Object} [origin] - Point to hold still, relative to the output's top-left corner
+	 * @return {Number} The new zoom level.
+	 * @emits did-change-zoom
+	 * @public
+	 */
+	setZoom(level, origin = {x: 0, y: 0}){
+		const {min, max} = this.constructor.zoomLimits;
+		level = Math.max(min, Math.min(max, +level || 1));
+		const ratio = level / this.zoom;
+		const left  = (this.output.scrollLeft + origin.x) * ratio - origin.x;
+		const top   = (this.output.scrollTop  + origin.y) * ratio - origin.y;
+		this.zoom   = level;
+		this.output.style.setProperty("--live-view-zoom", level);
+		this.output.scrollLeft = left;
+		this.output.scrollTop  = top;
+		this.emitter.emit("did-change-zoom", {zoom: level, zoomMode: this.zoomMode});
+		return level;
+	}
+	
+	
+	/**
+	 * Magnify the preview by one step.
+	 * @return {Number}
+	 * @public
+	 */
+	zoomIn(){
+		this.zoomMode = null;
+		return this.setZoom(this.zoom * this.constructor.zoomLimits.step);
+	}
+	
+	
+	/**
+	 * Reduce the preview's magnification by one step.
+	 * @return {Number}
+	 * @public
+	 */
+	zoomOut(){
+		this.zoomMode = null;
+		return this.setZoom(this.zoom / this.constructor.zoomLimits.step);
+	}
+	
+	
+	/**
+	 * Display output at its actual size.
+	 * @return {Number}
+	 * @public
+	 */
+	resetZoom(){
+		this.zoomMode = null;
+		return this.setZoom(1);
+	}
+	
+	
+	/**
+	 * Scale output to fit the width of the preview, until zoomed manually.
+	 * @return {Number}
+	 * @public
+	 */
+	fitWidth(){
+		this.zoomMode = "fit-width";
+		return this.applyZoomMode();
+	}
+	
+	
+	/**
+	 * Scale output so an entire page is visible, until zoomed manually.
+	 *
+	 * A page is the current element with a `data-page` attribute (see
+	 * {@link #createPage}), or the output's first element if there aren't any.
+	 *
+	 * @return {Number}
+	 * @public
+	 */
+	fitPage(){
+		this.zoomMode = "fit-page";
+		return this.applyZoomMode();
+	}
+	
+	
+	/**
+	 * Recompute the zoom level required by the current {@link #zoomMode}.
+	 *
+	 * Called whenever the output or the view's dimensions change.
+	 * @return {Number}
+	 * @internal
+	 */
+	applyZoomMode(){
+		const {clientWidth, clientHeight} = this.output;
+		const page = "fit-page" === this.zoomMode
+			? this.pager.pages[this.pager.current - 1] || this.output.firstElementChild
+			: null;
+		let width = 0, height = 0;
+		for(const child of page ? [page] : this.output.children){
+			const box = child.getBoundingClientRect();
+			width  = Math.max(width,  box.width  / this.zoom);
+			height = Math.max(height, box.height / this.zoom);
+		}
+		if(!width || !clientWidth) return this.zoom;
+		const zoom = clientWidth / width;
+		return this.setZoom(page && height ? Math.min(zoom, clientHeight / height) : zoom);
+	}
+	
+	
+	/**
+	 * Zoom the preview when the wheel is rolled with the Ctrl key held,
+	 * or when a trackpad is pinched.
+	 *
+	 * @param {WheelEvent} event
+	 * @internal
+	 */
+	handleWheel(event){
+		if(!event.ctrlKey || !event.deltaY) return;
+		event.preventDefault();
+		const {left, top} = this.output.getBoundingClientRect();
+		this.zoomMode = null;
+		this.setZoom(this.zoom * Math.exp(-event.deltaY / 100), {
+			x: event.clientX - left,
+			y: event.clientY - top,
+		});
+	}
+	
+	
+	/**
+	 * Scroll the preview to the output generated from a source position.
+	 *
+	 * @param {Point|Array} point
+	 * @return {Boolean} Whether a mapped element was found.
+	 * @public
+	 */
+	scrollToSourcePosition(point){
+		point = Point.fromObject(point);
+		const element = this.sourceMap.elementForPosition(point);
+		if(!element) return false;
+		this.pager.reveal(element);
+		const {start, end} = this.sourceMap.rangeForElement(element);
+		const ratio = Math.max(0, Math.min(1, (point.row - start.row) / (end.row - start.row + 1)));
+		const box = element.getBoundingClientRect();
+		this.output.scrollTop += box.top - this.output.getBoundingClientRect().top + box.height * ratio;
+		return true;
+	}
+	
+	
+	/**
+	 * Scroll the preview to a source position if its output is out of view.
+	 *
+	 * @param {Point|Array} point
+	 * @return {Boolean} Whether the preview was scrolled.
+	 * @public
+	 */
+	revealSourcePosition(point){
+		const element = this.sourceMap.elementForPosition(point);
+		if(!element) return false;
+		const box  = element.getBoundingClientRect();
+		const view = this.output.getBoundingClientRect();
+		if(box.bottom > view.top && box.top < view.bottom) return false;
+		element.scrollIntoView({block: "center"});
+		return true;
+	}
+	
+	
+	/**
+	 * Determine which source position is displayed at the top of the preview.
+	 *
+	 * @return {?Point}
+	 * @public
+	 */
+	getVisibleSourcePosition(){
+		const {top} = this.output.getBoundingClientRect();
+		let match = null, box = null;
+		for(const element of this.sourceMap.getElements()){
+			const rect = element.getBoundingClientRect();
+			if(!rect.height || rect.bottom <= top) continue;
+			if(rect.top > top){
+				if(!match) [match, box] = [element, rect];
+				break;
+			}
+			if(!match || match.contains(element))
+				[match, box] = [element, rect];
+		}
+		if(!match) return null;
+		const {start, end} = this.sourceMap.rangeForElement(match);
+		const ratio = Math.max(0, (top - box.top) / box.height);
+		const row = start.row + Math.floor(ratio * (end.row - start.row + 1));
+		return ratio ? new Point(Math.min(row, end.row), 0) : start;
+	}
+	
+	
+	/**
+	 * Scroll the preview to match the topmost visible line of {@link #editor}.
+	 * @internal
+	 */
+	syncPreviewScroll(){
+		if(!this.editor || !this.editor.element) return;
+		const row = this.editor.element.getFirstVisibleScreenRow();
+		this.scrollToSourcePosition(this.editor.bufferPositionForScreenPosition([row, 0]));
+	}
+	
+	
+	/**
+	 * Scroll {@link #editor} to match the topmost visible output of the preview.
+	 * @internal
+	 */
+	syncEditorScroll(){
+		const point = this.getVisibleSourcePosition();
+		if(!point || !this.editor || !this.editor.element) return;
+		const {top} = this.editor.element.pixelPositionForBufferPosition(point);
+		this.editor.element.setScrollTop(top);
+	}
+	
+	
+	/**
+	 * Run a scroll-synchronisation callback, unless the opposite side is scrolling.
+	 *
+	 * Prevents the preview and editor from endlessly nudging each other
+	 * as each one responds to the scroll events triggered by the other.
+	 *
+	 * @param {String} origin - Either "editor" or "preview"
+	 * @param {Function} callback - Invoked in the instance's context
+	 * @internal
+	 */
+	lockScroll(origin, callback){
+		if(this.scrollLock && this.scrollLock !== origin) return;
+		this.scrollLock = origin;
+		clearTimeout(this.scrollLockTimeout);
+		this.scrollLockTimeout = setTimeout(() => this.scrollLock = null, 100);
+		callback.call(this);
+	}
+	
+	
+	/**
+	 * Copy the selected output to the clipboard, as both HTML and plain text.
+	 *
+	 * If nothing is selected, the entire output is copied instead.
+	 * @public
+	 */
+	copy(){
+		const range = this.getSelectedRange();
+		let html, text;
+		if(range){
+			// Keep the selection inside the document it came from, which may be a sandbox's
+			const container = this.output.ownerDocument.createElement("div");
+			container.appendChild(range.cloneContents());
+			const canvases = [...this.output.querySelectorAll("canvas")].filter(canvas => range.intersectsNode(canvas));
+			html = this.cloneOutput(container, canvases).innerHTML;
+			text = range.toString();
+		}
+		else{
+			html = this.cloneOutput().innerHTML;
+			text = this.output.innerText;
+		}
+		clipboard.write({html, text});
+	}
+	
+	
+	/**
+	 * Retrieve the user's current text selection, if it lies within the output.
+	 *
+	 * @return {?Range}
+	 * @internal
+	 */
+	getSelectedRange(){
+		const selection = this.output.ownerDocument.getSelection();
+		if(!selection || selection.isCollapsed || !selection.rangeCount) return null;
+		const range = selection.getRangeAt(0);
+		return this.output.contains(range.commonAncestorContainer) ? range : null;
+	}
+	
+	
+	/**
+	 * Options for the dialog shown by Atom's `core:save-as` command.
+	 *
+	 * @return {Object}
+	 * @internal
+	 */
+	getSaveDialogOptions(){
+		const path = this.getPath();
+		const name = (path ? basename(path, extname(path)) : "untitled") + ".html";
+		return {
+			defaultPath: path ? join(dirname(path), name) : name,
+			filters: [
+				{name: "HTML", extensions: ["html", "htm"]},
+				{name: "SVG",  extensions: ["svg"]},
+				{name: "PNG",  extensions: ["png"]},
+			],
+		};
+	}
+	
+	
+	/**
+	 * Export the preview to a file chosen with Atom's "Save As" dialog.
+	 *
+	 * @param {String} path
+	 * @return {Promise}
+	 * @internal
+	 */
+	saveAs(path){
+		return this.exportTo(path).catch(error => {
+			atom.notifications.addError(`Unable to export ${basename(path)}`, {
+				detail: error.message,
+				dismissable: true,
+			});
+		});
+	}
+	
+	
+	/**
+	 * Save the preview's current output to a file.
+	 *
+	 * HTML files are standalone documents with the package's stylesheets
+	 * inlined. SVG and PNG exports are only possible if the output allows
+	 * it: SVG output can be wrapped around anything, but PNG requires the
+	 * output to consist of a single `<canvas>`, `<img>` or `<svg>` element.
+	 *
+	 * @example view.exportTo("/tmp/preview.png");
+	 * @param {String} path
+	 * @param {String} [format] - One of "html", "svg" or "png". Defaults to the path's extension.
+	 * @return {Promise}
+	 * @public
+	 */
+	async exportTo(path, format = extname(path).slice(1) || "html"){
+		let data;
+		switch(format.toLowerCase()){
+			case "htm":
+			case "html": data = this.exportHTML();      break;
+			case "svg":  data = this.exportSVG();       break;
+			case "png":  data = await this.exportPNG(); break;
+			default: throw new TypeError(`Unsupported export format: ${format}`);
+		}
+		await new Promise((resolve, reject) =>
+			writeFile(path, data, error => error ? reject(error) : resolve()));
+	}
+	
+	
+	/**
+	 * Serialise the preview's output as a standalone HTML document.
+	 *
+	 * The current theme's properties are set on the document's `<body>`,
+	 * so the output keeps the colours and fonts it's displayed with.
+	 *
+	 * @return {String}
+	 * @public
+	 */
+	exportHTML(){
+		const escape = string => string.replace(/[&<>"]/g, char => `&#${char.charCodeAt(0)};`);
+		const styles = this.getPackageStyles().map(css => `<style>\n${css}\n</style>\n`).join("");
+		const wrapper = this.wrapOutput(this.cloneOutput());
+		wrapper.removeAttribute("style");
+		return "<!DOCTYPE html>\n"
+			+ "<html>\n<head>\n"
+			+ '<meta charset="utf-8"/>\n'
+			+ `<title>${escape(this.getTitle())}</title>\n`
+			+ styles
+			+ "</head>\n"
+			+ `<body class="${escape(this.constructor.slug)}" style="${escape(this.getThemeDeclarations())}">\n`
+			+ wrapper.outerHTML
+			+ "\n</body>\n</html>\n";
+	}
+	
+	
+	/**
+	 * Serialise the preview's output as an SVG image.
+	 *
+	 * Output which doesn't consist of a lone `<svg>` element is embedded
+	 * inside a `<foreignObject>`, sized to fit the preview's content.
+	 *
+	 * @return {String}
+	 * @public
+	 */
+	exportSVG(){
+		const output = this.cloneOutput();
+		const svg = this.getSoleElement(output);
+		// The serialiser declares the SVG namespace itself; adding an `xmlns` attribute would duplicate it
+		if(svg && "svg" === svg.localName)
+			return new XMLSerializer().serializeToString(svg);
+		const {scrollWidth: width, scrollHeight: height} = this.output;
+		const styles = this.getPackageStyles().map(css =>
+			`<style><![CDATA[\n${css.replace(/]]>/g, "]]]]><![CDATA[>")}\n]]></style>\n`).join("");
+		const wrapper = this.wrapOutput(output);
+		return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">\n`
+			+ styles
+			+ '<foreignObject width="100%" height="100%">'
+			+ new XMLSerializer().serializeToString(wrapper)
+			+ "</foreignObject>\n</svg>\n";
+	}
+	
+	
+	/**
+	 * Rasterise the preview's output as a PNG image.
+	 *
+	 * @throws {Error} If the output can't be drawn onto a canvas.
+	 * @return {Promise<Buffer>}
+	 * @public
+	 */
+	async exportPNG(){
+		const element = this.getSoleElement(this.output);
+		let canvas = null;
+		switch(element && element.localName){
+			case "canvas":
+				canvas = element;
+				break;
+			case "img":
+			case "svg": {
+				const {width, height} = element.getBoundingClientRect();
+				const image = new Image();
+				image.src = "img" === element.localName
+					? element.src
+					: "data:image/svg+xml;charset=utf-8," + encodeURIComponent(this.exportSVG());
+				await new Promise((resolve, reject) => {
+					image.onload  = () => resolve();
+					image.onerror = () => reject(new Error("Unable to load image"));
+				});
+				canvas = document.createElement("canvas");
+				canvas.width  = image.naturalWidth  || Math.ceil(width);
+				canvas.height = image.naturalHeight || Math.ceil(height);
+				canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+				break;
+			}
+			default:
+				throw new Error("Output cannot be exported as PNG");
+		}
+		const url = canvas.toDataURL("image/png");
+		return Buffer.from(url.substring(url.indexOf(",") + 1), "base64");
+	}
+	
+	
+	/**
+	 * Copy the preview's output, stripping attributes used internally.
+	 *
+	 * Canvases are replaced with images of their current contents,
+	 * since cloning a `<canvas>` element doesn't copy what's drawn on it.
+	 * If `root` is itself a copy, the canvases it was copied from must be
+	 * supplied, in document order.
+	 *
+	 * @param {Node} [root=this.output]
+	 * @param {HTMLCanvasElement[]} [canvases] - Live canvases holding the pixels of those in `root`
+	 * @return {Node}
+	 * @internal
+	 */
+	cloneOutput(root = this.output, canvases = null){
+		const clone = root.cloneNode(true);
+		if(clone.nodeType !== Node.ELEMENT_NODE && clone.nodeType !== Node.DOCUMENT_FRAGMENT_NODE)
+			return clone;
+		for(const element of clone.querySelectorAll(`[${SourceMap.attribute}]`))
+			element.removeAttribute(SourceMap.attribute);
+		for(const mark of clone.querySelectorAll(`mark.${FindBar.matchClass}`))
+			mark.replaceWith(...mark.childNodes);
+		for(const page of clone.querySelectorAll(`.${Pager.currentClass}`))
+			page.classList.remove(Pager.currentClass);
+		if(clone.nodeType === Node.ELEMENT_NODE)
+			clone.removeAttribute("data-page-layout");
+		canvases = canvases || root.querySelectorAll("canvas");
+		clone.querySelectorAll("canvas").forEach((canvas, index) => {
+			const image = clone.ownerDocument.createElement("img");
+			image.src = canvases[index] ? canvases[index].toDataURL() : canvas.toDataURL();
+			image.width  = canvas.width;
+			image.height = canvas.height;
+			canvas.replaceWith(image);
+		});
+		return clone;
+	}
+	
+	
+	/**
+	 * Wrap a copy of the output in an element styled like the view's own.
+	 *
+	 * Used when exporting, so the output keeps the classes and theme
+	 * properties which the package's stylesheets depend upon.
+	 *
+	 * @param {Node} output - Value returned by {@link #cloneOutput}
+	 * @return {HTMLElement}
+	 * @internal
+	 */
+	wrapOutput(output){
+		const wrapper = output.ownerDocument.createElement("div");
+		wrapper.className = `live-view ${this.constructor.slug}`;
+		wrapper.dataset.previewStyle = this.getConfig("previewStyle");
+		wrapper.setAttribute("style", this.getThemeDeclarations());
+		wrapper.appendChild(output);
+		return wrapper;
+	}
+	
+	
+	/**
+	 * Return the only element inside a container, ignoring whitespace and comments.
+	 *
+	 * @param {Element} container
+	 * @return {?Element}
+	 * @internal
+	 */
+	getSoleElement(container){
+		const nodes = Array.from(container.childNodes).filter(node =>
+			node.nodeType === Node.ELEMENT_NODE ||
+			node.nodeType === Node.TEXT_NODE && node.data.trim());
+		return 1 === nodes.length && nodes[0].nodeType === Node.ELEMENT_NODE ? nodes[0] : null;
+	}
+	
+	
+	/**
+	 * Retrieve the contents of every stylesheet loaded by the view's package.
+	 *
+	 * @return {String[]}
+	 * @internal
+	 */
+	getPackageStyles(){
+		const pkg = atom.packages.getLoadedPackage(this.constructor.packageName);
+		if(!pkg) return [];
+		const root = join(pkg.path, "/");
+		return atom.styles.getStyleElements()
+			.filter(style => style.sourcePath && style.sourcePath.startsWith(root))
+			.map(style => style.textContent);
+	}
+	
+	
+	/**
+	 * Copy the package's stylesheets and the current theme's properties into the sandbox.
+	 *
+	 * Output inside a sandboxed frame is unaffected by Atom's stylesheets, so
+	 * this is called whenever the frame is loaded, or the theme is updated.
+	 * The frame's `<body>` stands in for the view's element.
+	 * @internal
+	 */
+	updateSandboxStyles(){
+		if(!this.sandbox) return;
+		const shared = loadStyleSheet();
+		this.sandbox.setStyles([
+			shared,
+			`body { ${this.getThemeDeclarations()} }`,
+			...this.getPackageStyles().filter(css => css !== shared),
+		].join("\n"));
+	}
+	
+	
+	/**
+	 * Expose the current theme's colours and the editor's font settings to
+	 * the preview's stylesheets, as CSS custom properties.
+	 *
+	 * Output is styled using the following properties, which either match
+	 * the editor or a fixed "paper" style, depending on the package's
+	 * `previewStyle` setting:
+	 *
+	 *   --live-view-foreground    --live-view-font-family
+	 *   --live-view-background    --live-view-font-size
+	 *                             --live-view-line-height
+	 *
+	 * The colours of the current themes are available regardless:
+	 *
+	 *   --live-view-ui-foreground        --live-view-editor-font-family
+	 *   --live-view-ui-background        --live-view-editor-font-size
+	 *   --live-view-syntax-foreground    --live-view-editor-line-height
+	 *   --live-view-syntax-background
+	 *
+	 * @public
+	 */
+	updateTheme(){
+		if(!this.emitter) return;
+		const props = this.getThemeProperties();
+		for(const name in props)
+			this.element.style.setProperty(name, props[name]);
+		this.element.dataset.previewStyle = this.getConfig("previewStyle");
+		this.updateSandboxStyles();
+	}
+	
+	
+	/**
+	 * Compute the CSS custom properties set by {@link #updateTheme}.
+	 *
+	 * @return {Object}
+	 * @internal
+	 */
+	getThemeProperties(){
+		const values = this.themeKeys.lastValues;
+		const workspace = atom.workspace.getElement();
+		const editor = this.editor && this.editor.isAlive()
+			? this.editor.getElement()
+			: workspace.querySelector("atom-text-editor:not([mini])");
+		const ui     = getComputedStyle(workspace);
+		const syntax = editor ? getComputedStyle(editor) : ui;
+		const font = {
+			fontFamily: values.get("editor.fontFamily") || syntax.fontFamily,
+			fontSize:   `${values.get("editor.fontSize") || parseFloat(syntax.fontSize)}px`,
+			lineHeight: String(values.get("editor.lineHeight") || syntax.lineHeight),
+		};
+		const style = "paper" === this.getConfig("previewStyle")
+			? this.constructor.paperStyle
+			: {foreground: syntax.color, background: syntax.backgroundColor, ...font};
+		return {
+			"--live-view-foreground":         style.foreground,
+			"--live-view-background":         style.background,
+			"--live-view-font-family":        style.fontFamily,
+			"--live-view-font-size":          style.fontSize,
+			"--live-view-line-height":        style.lineHeight,
+			"--live-view-ui-foreground":      ui.color,
+			"--live-view-ui-background":      ui.backgroundColor,
+			"--live-view-syntax-foreground":  syntax.color,
+			"--live-view-syntax-background":  syntax.backgroundColor,
+			"--live-view-editor-font-family": font.fontFamily,
+			"--live-view-editor-font-size":   font.fontSize,
+			"--live-view-editor-line-height": font.lineHeight,
+		};
+	}
+	
+	
+	/**
+	 * Format the properties returned by {@link #getThemeProperties} as CSS declarations.
+	 *
+	 * @return {String}
+	 * @internal
+	 */
+	getThemeDeclarations(){
+		const props = this.getThemeProperties();
+		return Object.keys(props).map(name => `${name}: ${props[name]};`).join(" ");
+	}
+	
+	
+	/**
+	 * Restore scroll offsets saved from the last workspace session.
+	 * @internal
+	 */
+	restoreOffsets(){
+		if(Array.isArray(this.offsets)){
+			this.output.scrollLeft = +this.offsets[0] || 0;
+			this.output.scrollTop  = +this.offsets[1] || 0;
+		}
+		this.offsets = null;
+	}
+	
+	
+	/**
+	 * Return a {@link Promise} that resolves once every package has loaded.
+	 * @return {Promise}
+	 * @internal
+	 */
+	async waitToLoad(){
+		if(!atom.packages.hasActivatedInitialPackages())
+			return new Promise(resolve => this.disposables.add(
+				atom.packages.onDidActivateInitialPackages(() => resolve())));
+	}
+	
+	
+	/**
+	 * Preview the contents of a {@link TextEditor}, replacing the current source.
+	 *
+	 * @param {TextEditor} editor
+	 * @return {Promise} Resolves once the editor's contents have been rendered.
+	 * @public
+	 */
+	attachEditor(editor){
+		this.disposables.dispose("source");
+		this.setDetached(null);
+		this.file     = null;
+		this.editor   = editor;
+		this.editorId = editor.id;
+		this.filePath = editor.getPath();
+		this.emitter.emit("did-change-title");
+		this.observedKeys.setScope(editor.getRootScopeDescriptor());
+		this.themeKeys.setScope(editor.getRootScopeDescriptor());
+		this.disposables.add("source", editor.onDidChangeGrammar(() => {
+			this.observedKeys.setScope(editor.getRootScopeDescriptor());
+			this.themeKeys.setScope(editor.getRootScopeDescriptor());
+		}));
+		this.disposables.add("source", editor.onDidDestroy(() => {
+			if(!this.following)
+				this.watchFile(editor.getPath());
+			else if(this.editor === editor){
+				this.disposables.dispose("source");
+				this.cachedTitle = this.getTitle();
+				this.editor = null;
+			}
+		}));
+		this.handleEvents();
+		return this.refresh();
+	}
+	
+	
+	/**
+	 * Preview the contents of a file, replacing the current source.
+	 *
+	 * If the file doesn't exist, the preview is detached until it does.
+	 *
+	 * @param {?String} path
+	 * @public
+	 */
+	watchFile(path){
+		if(!path || !existsSync(path))
+			return this.detachSource(path, path ? "deleted" : "closed");
+		this.disposables.dispose("source");
+		this.setDetached(null);
+		this.editor = null;
+		this.file = new File(path);
+		this.filePath = path;
+		this.emitter.emit("did-change-title");
+		const grammar = atom.grammars.selectGrammar(path, "");
+		this.observedKeys.setScope(grammar ? [grammar.scopeName] : null);
+		this.themeKeys.setScope(grammar ? [grammar.scopeName] : null);
+		this.disposables.add("source",
+			this.file.onDidRename(() => {
+				this.filePath = this.file.getPath();
+				this.emitter.emit("did-change-title");
+			}),
+			this.file.onDidDelete(() => this.detachSource(this.filePath, "deleted")),
+		);
+		this.handleEvents();
+		this.refresh();
+	}
+	
+	
+	/**
+	 * Stop tracking a source which no longer exists, keeping its last output.
+	 *
+	 * The preview reattaches itself if the file is recreated, or if an editor
+	 * is opened for its path. Unsaved buffers can't be recovered once closed.
+	 *
+	 * @param {?String} path - Path of the missing source, if it had one
+	 * @param {String} reason - Either "deleted" or "closed"
+	 * @internal
+	 */
+	detachSource(path, reason){
+		this.disposables.dispose("source");
+		this.cachedTitle = this.getTitle();
+		this.file = null;
+		this.editor = null;
+		this.filePath = path || null;
+		this.setDetached(reason);
+		this.emitter.emit("did-change-title");
+		if(!path) return;
+		
+		const dir = new Directory(dirname(path));
+		if(dir.existsSync())
+			this.disposables.add("source", dir.onDidChange(() => existsSync(path) && this.watchFile(path)));
+		this.disposables.add("source", atom.workspace.onDidAddTextEditor(({textEditor}) => {
+			if(path === textEditor.getPath())
+				this.attachEditor(textEditor);
+		}));
+	}
+	
+	
+	/**
+	 * Update the notice explaining why the preview's source is unavailable.
+	 *
+	 * @param {?String} reason - Either "deleted", "closed" or null
+	 * @internal
+	 */
+	setDetached(reason){
+		this.detached = reason || null;
+		this.notice.hidden = !reason;
+		this.notice.textContent = "deleted" === reason
+			? "Source file was deleted or moved. Showing its last known contents."
+			: "closed" === reason
+				? "Source was closed without being saved. Showing its last known contents."
+				: "";
+	}
+	
+	
+	
+	static get createView(){
+		return (state = {}) => {
+			const id   = state.editorId;
+			const path = state.filePath;
+			if(id || state.following || path && existsSync(path) && statSync(path).isFile())
+				return new this(state);
+		};
+	}
+	
+	
+	static get opener(){
+		return uri => {
+			let [protocol, ...path] = uri.split("://");
+			if(protocol !== this.protocolName) return;
+			try{ path = decodeURI(path.join("://")); }
+			catch(e){ return; }
+			
+			if("source:active" === path)
+				return this.createView({following: true});
+			return path.startsWith("source:editor@")
+				? this.createView({editorId: path.substring(14)})
+				: this.createView({filePath: path.replace(/^source:file@/i, "")});
+		};
+	}
+	
+	
+	/**
+	 * Open a preview which follows whichever editor is currently active.
+	 *
+	 * Only one following preview is opened per class: if one already
+	 * exists, it's activated instead of opening another.
+	 *
+	 * @return {Function}
+	 * @public
+	 */
+	static get follow(){
+		return () => {
+			for(const pane of atom.workspace.getPanes())
+				for(const item of pane.getItems())
+					if(item instanceof this && item.following){
+						pane.activateItem(item);
+						return;
+					}
+			const opts = {};
+			if(this.shouldSplit)
+				opts.split = "right";
+			atom.workspace.open(`${this.protocolName}://source:active`, opts);
+		};
+	}
+	
+	
+	/**
+	 * Determine if an editor's contents can be rendered by the view.
+	 *
+	 * @param {TextEditor} editor
+	 * @return {Boolean}
+	 * @public
+	 */
+	static supportsEditor(editor){
+		if(!atom.workspace.isTextEditor(editor)) return false;
+		const {grammars} = this;
+		if(!grammars.length) return true;
+		const grammar = editor.getGrammar();
+		return !!grammar && grammars.includes(grammar.scopeName);
+	}
+	
+	
+	/**
+	 * Open previews automatically when editors with supported grammars are opened.
+	 *
+	 * Previews are opened only if the package's `openAutomatically` setting
+	 * is enabled. Editors whose grammars are changed to a supported one are
+	 * also previewed. Packages should call this method when activated.
+	 *
+	 * @example activate(){ this.disposables = RoffPreview.observeEditors(); }
+	 * @return {MappedDisposable}
+	 * @public
+	 */
+	static observeEditors(){
+		this.registerConfig();
+		const disposables = new MappedDisposable();
+		const check = editor => {
+			if(atom.config.get(`${this.packageName}.openAutomatically`)
+			&& this.supportsEditor(editor)
+			&& !atom.workspace.paneForURI(this.uriForEditor(editor)))
+				this.add(editor);
+		};
+		disposables.add("editors", atom.workspace.observeTextEditors(editor => {
+			disposables.add(editor,
+				editor.onDidChangeGrammar(() => check(editor)),
+				editor.onDidDestroy(() => disposables.dispose(editor)));
+			check(editor);
+		}));
+		return disposables;
+	}
+	
+	
+	static get toggle(){
+		return () => {
+			if(atom.workspace.getActivePaneItem() instanceof this){
+				atom.workspace.destroyActivePaneItem();
+				return;
+			}
+			
+			const editor = atom.workspace.getActiveTextEditor();
+			if(!editor) return;
+			this.remove(editor) || this.add(editor);
+		};
+	}
+	
+	
+	static get add(){
+		return editor => {
+			if(!this.supportsEditor(editor)){
+				const grammar = editor.getGrammar();
+				atom.notifications.addWarning(`Unable to preview ${editor.getTitle()}`, {
+					description: `Files using the ${grammar ? grammar.name : "current"} grammar can't be previewed.`,
+					detail: "Supported scopes: " + this.grammars.join(", "),
+				});
+				return;
+			}
+			const uri  = this.uriForEditor(editor);
+			const pane = atom.workspace.getActivePane();
+			const opts = {searchAllPanes: true};
+			if(this.shouldSplit)
+				opts.split = "right";
+			atom.workspace.open(uri, opts).then(view => {
+				if(pane && (view instanceof this))
+					pane.activate();
+			});
+		};
+	}
+	
+	
+	static get remove(){
+		return editor => {
+			const uri  = this.uriForEditor(editor);
+			const pane = atom.workspace.paneForURI(uri);
+			if(pane){
+				pane.destroyItem(pane.itemForURI(uri));
+				return true;
+			}
+			return false;
+		};
+	}
+	
+	
+	/**
+	 * Define settings used by the base class, unless the package already has.
+	 *
+	 * Settings are added to the package's namespace, and may be overridden by
+	 * declaring properties with the same names in the package's config schema.
+	 *
+	 * @internal
+	 */
+	static registerConfig(){
+		const schemas = {
+			renderMode: {
+				title: "Render mode",
+				description: "When to refresh the preview after its source is modified.",
+				type: "string",
+				default: "live",
+				enum: [
+					{value: "live",   description: "Live (while typing)"},
+					{value: "save",   description: "On save"},
+					{value: "manual", description: "Manual"},
+				],
+			},
+			openAutomatically: {
+				title: "Open automatically",
+				description: "Open a preview when an editor with a supported grammar is opened.",
+				type: "boolean",
+				default: false,
+			},
+			typingDelay: {
+				title: "Typing delay",
+				description: "Milliseconds to wait after the last keystroke before refreshing a live preview.",
+				type: "integer",
+				default: 300,
+				minimum: 0,
+			},
+			previewStyle: {
+				title: "Preview style",
+				description: "Whether to match the editor's colours and font, or display output like a printed page.",
+				type: "string",
+				default: "editor",
+				enum: [
+					{value: "editor", description: "Editor theme"},
+					{value: "paper",  description: "Paper"},
+				],
+			},
+		};
+		for(const name in schemas){
+			const key = `${this.packageName}.${name}`;
+			const schema = atom.config.getSchema(key);
+			if(!schema || "any" === schema.type)
+				atom.config.setSchema(key, schemas[name]);
+		}
+	}
+	
+	
+	static get uriForEditor(){
+		return editor => `${this.protocolName}://source:editor@${editor.id}`;
+	}
+	
+	
+	static get grammars()      { return []; }
+	static get iconName()      { return "device-desktop"; }
+	static get packageName()   { return this.protocolName; }
+	static get renderDelay()   { return 20; }
+	static get cacheSize()     { return 0; }
+	static get sandboxed()     { return false; }
+	static get patchOutput()   { return true; }
+	static get renderModule()  { return null; }
+	static get renderTimeout() { return 30000; }
+	static get renderThreaded(){ return false; }
+	static get pageLayout()    { return "continuous"; }
+	static get stateVersion()  { return 0; }
+	static get protocolName()  { return "atom-live-view"; }
+	static get shouldSplit()   { return true; }
+	static get slug(){
+		return this.name
+			.replace(/([a-z]+)([A-Z])/g, (_, a, B) => `${a}-${B}`)
 			.toLowerCase();
 	}
+	static get contentSecurityPolicy(){
+		return SandboxFrame.defaultPolicy;
+	}
+	static get zoomLimits(){
+		return {min: 0.1, max: 10, step: 1.2};
+	}
+	static get paperStyle(){
+		return {
+			foreground: "#000",
+			background: "#fff",
+			fontFamily: 'Georgia, "Times New Roman", serif',
+			fontSize:   "16px",
+			lineHeight: "1.5",
+		};
+	}
+}
+
+
+/**
+ * Convert state saved by an earlier version of the base class to the current format.
+ *
+ * Version 0 state predates versioning, and may lack the `following` and
+ * `autoRefresh` properties.
+ *
+ * @param {Object} state
+ * @return {Object}
+ * @internal
+ */
+function upgradeState(state){
+	const version = +state.version || 0;
+	if(version < 1){
+		state.following = !!state.following;
+		state.autoRefresh = true;
+	}
+	state.version = STATE_VERSION;
+	return state;
+}
+
+
+/**
+ * Determine if a value is a DOM node, including one created in another frame.
+ *
+ * @param {*} value
+ * @return {Boolean}
+ * @internal
+ */
+function isNode(value){
+	return null != value && "object" === typeof value && value.nodeType > 0;
+}
+
+
+/**
+ * Add the stylesheet shared by every view, unless it's already been loaded.
+ *
+ * @return {String} The stylesheet's contents.
+ * @internal
+ */
+function loadStyleSheet(){
+	if(null == loadStyleSheet.css){
+		const path = join(__dirname, "..", "styles", "atom-live-view.css");
+		loadStyleSheet.css = readFileSync(path, "utf8");
+		atom.styles.addStyleSheet(loadStyleSheet.css, {sourcePath: path});
+	}
+	return loadStyleSheet.css;
 }
 
 module.exports = AtomLiveView;
@@ -0,0 +1,32 @@
+"use strict";
+
+
+/**
+ * Create an {@link AbortController}, or an object resembling one if unsupported.
+ *
+ * Versions of Atom running on Electron 2 and earlier lack native abort
+ * controllers; the substitute's signal supports `aborted`, `onabort`, and
+ * listeners for "abort" events, which is all this package relies upon.
+ *
+ * @return {AbortController}
+ * @internal
+ */
+function createController(){
+	if("function" === typeof AbortController)
+		return new AbortController();
+	const listeners = new Set();
+	const signal = {
+		aborted: false,
+		onabort: null,
+		addEventListener: (type, fn) => "abort" === type && listeners.add(fn),
+		removeEventListener: (type, fn) => listeners.delete(fn),
+	};
+	return {signal, abort(){
+		if(signal.aborted) return;
+		signal.aborted = true;
+		signal.onabort && signal.onabort();
+		listeners.forEach(fn => fn());
+	}};
+}
+
+module.exports = createController;
@@ -0,0 +1,157 @@
+"use strict";
+
+const {Directory, File} = require("atom");
+const {existsSync, readFile} = require("fs");
+const {dirname} = require("path");
+const MappedDisposable = require("mapped-disposable");
+const EDITORS = Symbol("Editor subscriptions");
+
+
+/**
+ * Watches files which a preview's output depends upon.
+ *
+ * Changes, deletions and renames are reported to the callback, as are
+ * modifications made in editors which haven't been saved yet. Files which
+ * don't exist are watched for creation by monitoring their directory.
+ *
+ * @property {Function} callback
+ *   Function invoked with the path of the affected file, and a string
+ *   describing what happened: "change", "create", "delete", "rename",
+ *   or "edit" for unsaved changes to an open editor.
+ *
+ * @property {Set} paths
+ *   Absolute paths of every file being watched.
+ *
+ * @internal
+ * @class
+ */
+class DependencyWatcher {
+	
+	/**
+	 * Initialise a new watcher.
+	 *
+	 * @param {Function} callback - Function assigned to instance's {@link #callback}
+	 * @throws {TypeError} If callback isn't a function.
+	 * @constructor
+	 */
+	constructor(callback){
+		if("function" !== typeof callback)
+			throw new TypeError("Callback argument is not a function");
+		this.callback = callback;
+		this.paths = new Set();
+		this.disposables = new MappedDisposable();
+	}
+	
+	
+	/**
+	 * Replace the list of watched files.
+	 *
+	 * Files already being watched are left untouched.
+	 *
+	 * @param {Iterable<String>} paths - Absolute paths
+	 * @public
+	 */
+	set(paths){
+		paths = new Set(paths);
+		for(const path of this.paths)
+			paths.has(path) || this.unwatch(path);
+		for(const path of paths)
+			this.paths.has(path) || this.watch(path);
+		
+		if(this.paths.size && !this.disposables.has(EDITORS))
+			this.disposables.add(EDITORS, atom.workspace.observeTextEditors(editor =>
+				this.disposables.add(EDITORS, editor.onDidStopChanging(() => {
+					const path = editor.getPath();
+					if(editor.isModified() && this.paths.has(path))
+						this.callback(path, "edit");
+				}))));
+		else if(!this.paths.size)
+			this.disposables.dispose(EDITORS);
+	}
+	
+	
+	/**
+	 * Start watching a file.
+	 *
+	 * @param {String} path
+	 * @internal
+	 */
+	watch(path){
+		this.paths.add(path);
+		if(!existsSync(path)){
+			const dir = new Directory(dirname(path));
+			if(dir.existsSync())
+				this.disposables.add(path, dir.onDidChange(() => {
+					if(!existsSync(path)) return;
+					this.rewatch(path);
+					this.callback(path, "create");
+				}));
+			return;
+		}
+		const file = new File(path);
+		this.disposables.add(path,
+			file.onDidChange(() => this.callback(path, "change")),
+			file.onDidDelete(() => {
+				this.rewatch(path);
+				this.callback(path, "delete");
+			}),
+			file.onDidRename(() => {
+				this.rewatch(path);
+				this.callback(path, "rename");
+			}),
+		);
+	}
+	
+	
+	/**
+	 * Stop watching a file.
+	 *
+	 * @param {String} path
+	 * @internal
+	 */
+	unwatch(path){
+		this.paths.delete(path);
+		this.disposables.dispose(path);
+	}
+	
+	
+	/**
+	 * Replace a file's subscriptions after it's been created, deleted or moved.
+	 *
+	 * @param {String} path
+	 * @internal
+	 */
+	rewatch(path){
+		this.unwatch(path);
+		this.watch(path);
+	}
+	
+	
+	/**
+	 * Read the contents of a file, preferring those of an open editor.
+	 *
+	 * @param {String} path
+	 * @return {Promise<String>}
+	 * @public
+	 */
+	async read(path){
+		for(const editor of atom.workspace.getTextEditors())
+			if(path === editor.getPath())
+				return editor.getText();
+		return new Promise((resolve, reject) =>
+			readFile(path, "utf8", (error, data) => error ? reject(error) : resolve(data)));
+	}
+	
+	
+	/**
+	 * Stop watching every file.
+	 * @public
+	 */
+	dispose(){
+		this.disposables.dispose();
+		this.disposables = new MappedDisposable();
+		this.paths.clear();
+	}
+}
+
+module.exports = DependencyWatcher;
@@ -0,0 +1,122 @@
+"use strict";
+
+
+/**
+ * Dismissable panel which reports an error without hiding the last output.
+ *
+ * @property {HTMLElement} element
+ *   Root element of the panel, hidden until {@link #show} is called.
+ *
+ * @property {?Error} error
+ *   The error currently being displayed.
+ *
+ * @internal
+ * @class
+ */
+class ErrorOverlay {
+	
+	/**
+	 * Create a new (hidden) overlay.
+	 *
+	 * @param {Function} [onRetry=null]
+	 *   Callback invoked when the panel's "Retry" button is clicked.
+	 *   The button is omitted if no callback is supplied.
+	 * @constructor
+	 */
+	constructor(onRetry = null){
+		this.error = null;
+		this.element = document.createElement("div");
+		this.element.className = "live-view-error inset-panel padded";
+		this.element.hidden = true;
+		this.element.innerHTML = `
+			<header>
+				<span class="icon icon-alert"></span>
+				<span class="message"></span>
+				<button class="btn btn-sm icon icon-x dismiss" title="Dismiss"></button>
+			</header>
+			<details>
+				<summary>Stack trace</summary>
+				<pre class="stack"></pre>
+			</details>
+			<div class="btn-toolbar">
+				<button class="btn icon icon-sync retry">Retry</button>
+			</div>
+		`;
+		this.element.querySelector(".dismiss").addEventListener("click", () => this.hide());
+		const retry = this.element.querySelector(".retry");
+		"function" === typeof onRetry
+			? retry.addEventListener("click", () => { this.hide(); onRetry(); })
+			: retry.parentElement.remove();
+	}
+	
+	
+	/**
+	 * Whether the panel is currently displayed.
+	 * @property {Boolean}
+	 * @readonly
+	 */
+	get visible(){
+		return !this.element.hidden;
+	}
+	
+	
+	/**
+	 * Display an error, replacing whatever was shown previously.
+	 *
+	 * @param {Error|String} error
+	 * @public
+	 */
+	show(error){
+		const message = error && error.message || String(error);
+		const stack   = error && error.stack || "";
+		this.error = error;
+		this.setLevel("error");
+		this.element.querySelector(".message").textContent = message;
+		this.element.querySelector(".stack").textContent = stack;
+		this.element.querySelector("details").hidden = !stack;
+		this.element.hidden = false;
+	}
+	
+	
+	/**
+	 * Display diagnostics which didn't prevent output from being rendered.
+	 *
+	 * @param {String} message
+	 * @public
+	 */
+	warn(message){
+		this.error = null;
+		this.setLevel("warning");
+		this.element.querySelector(".message").textContent = String(message).trim();
+		this.element.querySelector("details").hidden = true;
+		this.element.hidden = false;
+	}
+	
+	
+	/**
+	 * Change the panel's appearance to suit the severity of its message.
+	 *
+	 * @param {String} level - Either "error" or "warning"
+	 * @internal
+	 */
+	setLevel(level){
+		const icon = this.element.querySelector(".icon-alert");
+		icon.classList.toggle("text-error",   "error"   === level);
+		icon.classList.toggle("text-warning", "warning" === level);
+		this.element.classList.toggle("warning", "warning" === level);
+		const retry = this.element.querySelector(".btn-toolbar");
+		retry && (retry.hidden = "warning" === level);
+	}
+	
+	
+	/**
+	 * Hide the panel.
+	 * @public
+	 */
+	hide(){
+		this.error = null;
+		this.element.hidden = true;
+	}
+}
+
+module.exports = ErrorOverlay;
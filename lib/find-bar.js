@@ -0,0 +1,329 @@
+"use strict";
+
+const MATCH_CLASS = "live-view-find-match";
+
+
+/**
+ * Search bar which highlights occurrences of text within a preview's output.
+ *
+ * Matches are wrapped in `<mark>` elements, which should be removed using
+ * {@link #clearHighlights} before output is modified, then restored with
+ * {@link #search} afterwards.
+ *
+ * @property {HTMLElement} element
+ *   Root element of the bar, hidden until {@link #show} is called.
+ *
+ * @property {HTMLElement} root
+ *   Element whose text is being searched.
+ *
+ * @property {HTMLElement[][]} matches
+ *   The `<mark>` elements of each match, in document order.
+ *
+ * @property {Number} index
+ *   Position of the currently-selected match, or -1 if there isn't one.
+ *
+ * @property {Boolean} caseSensitive
+ * @property {Boolean} useRegex
+ * @property {Boolean} wholeWord
+ *
+ * @internal
+ * @class
+ */
+class FindBar {
+	
+	/**
+	 * Create a new (hidden) find bar.
+	 *
+	 * @param {HTMLElement} root - Element to search
+	 * @constructor
+	 */
+	constructor(root){
+		this.root          = root;
+		this.matches       = [];
+		this.index         = -1;
+		this.caseSensitive = false;
+		this.useRegex      = false;
+		this.wholeWord     = false;
+		this.element = document.createElement("div");
+		this.element.className = "live-view-find padded";
+		this.element.hidden = true;
+		this.element.innerHTML = `
+			<input class="input-text native-key-bindings" type="search" placeholder="Find in preview" spellcheck="false"/>
+			<span class="counter text-subtle"></span>
+			<div class="btn-group">
+				<button class="btn btn-sm option" data-option="useRegex" title="Use Regex">.*</button>
+				<button class="btn btn-sm option" data-option="caseSensitive" title="Match Case">Aa</button>
+				<button class="btn btn-sm option" data-option="wholeWord" title="Whole Word">\\b</button>
+			</div>
+			<div class="btn-group">
+				<button class="btn btn-sm icon icon-chevron-up previous" title="Find Previous"></button>
+				<button class="btn btn-sm icon icon-chevron-down next" title="Find Next"></button>
+			</div>
+			<button class="btn btn-sm icon icon-x close" title="Close"></button>
+		`;
+		this.input   = this.element.querySelector("input");
+		this.counter = this.element.querySelector(".counter");
+		this.input.addEventListener("input", () => this.search());
+		this.input.addEventListener("keydown", event => {
+			switch(event.key){
+				case "Enter":  event.shiftKey ? this.previous() : this.next(); break;
+				case "Escape": this.hide(); break;
+				default: return;
+			}
+			event.preventDefault();
+			event.stopPropagation();
+		});
+		for(const button of this.element.querySelectorAll(".option"))
+			button.addEventListener("click", () => this.toggle(button.dataset.option));
+		this.element.querySelector(".previous").addEventListener("click", () => this.previous());
+		this.element.querySelector(".next").addEventListener("click", () => this.next());
+		this.element.querySelector(".close").addEventListener("click", () => this.hide());
+	}
+	
+	
+	/**
+	 * Whether the bar is currently displayed.
+	 * @property {Boolean}
+	 * @readonly
+	 */
+	get visible(){
+		return !this.element.hidden;
+	}
+	
+	
+	/**
+	 * Display the bar and focus its input field.
+	 *
+	 * @param {String} [query] - Text to search for, replacing the current query
+	 * @public
+	 */
+	show(query){
+		if(null != query && "" !== query)
+			this.input.value = query;
+		this.element.hidden = false;
+		this.input.focus();
+		this.input.select();
+		this.search();
+	}
+	
+	
+	/**
+	 * Hide the bar and remove its highlights.
+	 * @public
+	 */
+	hide(){
+		const focused = this.element.contains(document.activeElement);
+		this.clearHighlights();
+		this.matches = [];
+		this.index = -1;
+		this.element.hidden = true;
+		focused && this.element.parentElement && this.element.parentElement.focus();
+	}
+	
+	
+	/**
+	 * Toggle one of the bar's search options.
+	 *
+	 * @param {String} option - Either "caseSensitive", "useRegex" or "wholeWord"
+	 * @public
+	 */
+	toggle(option){
+		this[option] = !this[option];
+		this.search();
+	}
+	
+	
+	/**
+	 * Highlight every match of the current query.
+	 *
+	 * @param {Boolean} [keepIndex=false] - Whether to keep the same match selected
+	 * @public
+	 */
+	search(keepIndex = false){
+		const {index} = this;
+		this.clearHighlights();
+		this.matches = [];
+		this.index = -1;
+		for(const button of this.element.querySelectorAll(".option"))
+			button.classList.toggle("selected", !!this[button.dataset.option]);
+		
+		const pattern = this.visible && this.getPattern();
+		this.input.classList.toggle("invalid", null === pattern);
+		if(pattern)
+			this.matches = this.highlight(pattern);
+		if(this.matches.length)
+			this.select(keepIndex ? Math.max(0, Math.min(index, this.matches.length - 1)) : this.firstVisibleMatch());
+		this.updateCounter();
+	}
+	
+	
+	/**
+	 * Select the next match, wrapping around to the first.
+	 * @public
+	 */
+	next(){
+		if(!this.matches.length) return;
+		this.select((this.index + 1) % this.matches.length);
+		this.updateCounter();
+	}
+	
+	
+	/**
+	 * Select the previous match, wrapping around to the last.
+	 * @public
+	 */
+	previous(){
+		if(!this.matches.length) return;
+		this.select((this.index - 1 + this.matches.length) % this.matches.length);
+		this.updateCounter();
+	}
+	
+	
+	/**
+	 * Mark a match as current, and scroll it into view.
+	 *
+	 * @param {Number} index
+	 * @internal
+	 */
+	select(index){
+		if(this.matches[this.index])
+			for(const mark of this.matches[this.index])
+				mark.classList.remove("current");
+		this.index = index;
+		const marks = this.matches[index] || [];
+		for(const mark of marks)
+			mark.classList.add("current");
+		marks.length && marks[0].scrollIntoView({block: "nearest", inline: "nearest"});
+	}
+	
+	
+	/**
+	 * Locate the first match which isn't scrolled out of view.
+	 *
+	 * @return {Number}
+	 * @internal
+	 */
+	firstVisibleMatch(){
+		const {top} = this.root.getBoundingClientRect();
+		const index = this.matches.findIndex(([mark]) => mark.getBoundingClientRect().bottom >= top);
+		return Math.max(0, index);
+	}
+	
+	
+	/**
+	 * Compile the current query into a regular expression.
+	 *
+	 * @return {?RegExp} The compiled expression, or null if the query is invalid.
+	 * @internal
+	 */
+	getPattern(){
+		let source = this.input.value;
+		if(!source) return undefined;
+		if(!this.useRegex)
+			source = source.replace(/[\\^$.*+?()[\]{}|/]/g, "\\$&");
+		if(this.wholeWord)
+			source = `\\b(?:${source})\\b`;
+		try{ return new RegExp(source, this.caseSensitive ? "g" : "gi"); }
+		catch(e){ return null; }
+	}
+	
+	
+	/**
+	 * Wrap every match of an expression in `<mark>` elements.
+	 *
+	 * Matches may span several text nodes, in which case each node's
+	 * portion of the match is wrapped separately.
+	 *
+	 * @param {RegExp} pattern
+	 * @return {HTMLElement[][]}
+	 * @internal
+	 */
+	highlight(pattern){
+		const doc = this.root.ownerDocument;
+		const walker = doc.createTreeWalker(this.root, NodeFilter.SHOW_TEXT, {
+			acceptNode: node => node.parentElement.closest("script, style, template")
+				? NodeFilter.FILTER_REJECT
+				: NodeFilter.FILTER_ACCEPT,
+		});
+		const nodes = [];
+		let text = "";
+		while(walker.nextNode()){
+			nodes.push({node: walker.currentNode, start: text.length});
+			text += walker.currentNode.nodeValue;
+		}
+		
+		const ranges = [];
+		let match;
+		while(match = pattern.exec(text)){
+			if(!match[0].length){
+				++pattern.lastIndex;
+				continue;
+			}
+			ranges.push([match.index, match.index + match[0].length]);
+		}
+		
+		// Wrap from the end, so splitting text nodes doesn't invalidate earlier offsets
+		const matches = [];
+		let last = nodes.length - 1;
+		for(let i = ranges.length - 1; i >= 0; --i){
+			const [start, end] = ranges[i];
+			const marks = [];
+			while(last >= 0 && nodes[last].start >= end) --last;
+			for(let n = last; n >= 0; --n){
+				const {node, start: offset} = nodes[n];
+				const {length} = node.nodeValue;
+				if(offset + length <= start) break;
+				const range = doc.createRange();
+				range.setStart(node, Math.max(0, start - offset));
+				range.setEnd(node, Math.min(length, end - offset));
+				const mark = doc.createElement("mark");
+				mark.className = MATCH_CLASS;
+				range.surroundContents(mark);
+				marks.unshift(mark);
+			}
+			matches.push(marks);
+		}
+		return matches.reverse();
+	}
+	
+	
+	/**
+	 * Remove highlighted matches, restoring the text nodes they replaced.
+	 * @public
+	 */
+	clearHighlights(){
+		const parents = new Set();
+		for(const mark of this.root.querySelectorAll(`mark.${MATCH_CLASS}`)){
+			parents.add(mark.parentNode);
+			mark.replaceWith(...mark.childNodes);
+		}
+		for(const parent of parents)
+			parent.normalize();
+	}
+	
+	
+	/**
+	 * Update the number of matches displayed by the bar.
+	 * @internal
+	 */
+	updateCounter(){
+		const {length} = this.matches;
+		this.counter.textContent = !this.input.value
+			? ""
+			: length
+				? `${this.index + 1} of ${length}`
+				: "No results";
+	}
+	
+	
+	/**
+	 * Class name of the `<mark>` elements which highlight matches.
+	 * @property {String}
+	 * @readonly
+	 */
+	static get matchClass(){
+		return MATCH_CLASS;
+	}
+}
+
+module.exports = FindBar;
@@ -10,11 +10,42 @@ const MappedDisposable = require("mapped-disposable");
  * were changed at any one time. Execution is always asynchronous, so
  * changes to multiple config keys only result in one "grouped" call.
  *
+ * By default, changes are grouped only if they occur during the same tick
+ * of the event loop. Changes spread over a longer period can be batched by
+ * setting {@link #debounce}, {@link #maxWait} and {@link #throttle}, or by
+ * suspending the callback entirely with {@link #pause} and {@link #resume}.
+ *
  * @property {Function} callback
- *   A callback, always invoked without arguments in the instance's own context.
+ *   A callback, invoked in the instance's own context with a {@link Map}
+ *   of the keys which changed, each paired with an object holding the
+ *   key's `oldValue` and `newValue`. Keys observed for the first time
+ *   are reported with an `oldValue` of `undefined`.
  *
  * @property {MappedDisposables} disposables
- *   Subscriptions returned by {@link atom.config.observe}.
+ *   Subscriptions returned by {@link atom.config.observe}, and those
+ *   which expand each pattern when its part of the schema changes.
+ *
+ * @property {Number} debounce
+ *   Milliseconds to wait for further changes before firing the callback.
+ *
+ * @property {Number} maxWait
+ *   Maximum milliseconds the callback may be delayed by {@link #debounce}.
+ *   Zero means no limit.
+ *
+ * @property {Number} throttle
+ *   Minimum milliseconds between consecutive calls to the callback.
+ *
+ * @property {Boolean} paused
+ *   Whether the callback has been suspended by {@link #pause}.
+ *
+ * @property {Map} patterns
+ *   Wildcard patterns, each paired with a {@link Set} of the keys it matched.
+ *
+ * @property {?ScopeDescriptor} scope
+ *   Scope which keys are resolved against, as set by {@link #setScope}.
+ *
+ * @property {Map} lastValues
+ *   The last-known value of each observed key.
  *
  * @extends {Set}
  * @internal
@@ -37,6 +68,9 @@ class ObservedKeyList extends Set {
 		super();
 		this.callback = callback;
 		this.disposables = new MappedDisposable();
+		this.changes = new Map();
+		this.patterns = new Map();
+		this.lastValues = new Map();
 		keys.length && this.add(...keys);
 	}
 	
@@ -51,9 +85,16 @@ class ObservedKeyList extends Set {
 	 *   list.add(["editor.fontSize", "editor.fontFamily"]);
 	 *   list.add("editor.fontSize", "editorFontFamily");
 	 *
+	 * @example <caption>Wildcards</caption>
+	 *   list.add("roff-preview.*");  // Every setting of a package
+	 *   list.add("editor.font*");    // editor.fontFamily, editor.fontSize
+	 *
 	 * @param {String|String[]} keys
 	 *   One or more config-keys to observe, which may be a whitespace-separated
 	 *   lists, or an {@link Array} of strings. Duplicate entries are ignored.
+	 *   Keys containing `*` or `?` are treated as glob-style patterns, which
+	 *   are matched against every setting in Atom's config schema (including
+	 *   settings added later). Wildcards may match across dots.
 	 *
 	 * @return {ObservedKeyList}
 	 *   Reference to the calling instance, for parity with {@link Set.prototype.add}.
@@ -61,15 +102,22 @@ class ObservedKeyList extends Set {
 	add(...keys){
 		for(const key of this.normaliseKeys(keys)){
 			if(super.has(key)) continue;
+			if(this.isPattern(key)){
+				super.add(key);
+				this.patterns.set(key, new Set());
+				this.expandPattern(key);
+				
+				// Settings added to the schema change the defaults of their parent
+				const prefix = this.getPatternPrefix(key);
+				const expand = () => this.expandPattern(key);
+				this.disposables.add(key, prefix
+					? atom.config.onDidChange(prefix, expand)
+					: atom.config.onDidChange(expand));
+				continue;
+			}
+			const observed = this.isObserved(key);
 			super.add(key);
-			this.disposables.add(key, atom.config.observe(key, () => {
-				if(this.callbackQueued || !this.callback) return;
-				this.callbackQueued = true;
-				process.nextTick(() => {
-					this.callbackQueued = false;
-					this.callback();
-				});
-			}));
+			observed || this.observeKey(key);
 		}
 		return this;
 	}
@@ -95,8 +143,14 @@ class ObservedKeyList extends Set {
 	 */
 	delete(...keys){
 		for(const key of this.normaliseKeys(keys)){
-			super.delete(key);
-			this.disposables.dispose(key);
+			if(!super.delete(key)) continue;
+			if(this.patterns.has(key)){
+				const matches = this.patterns.get(key);
+				this.patterns.delete(key);
+				this.disposables.dispose(key);
+				matches.forEach(match => this.unobserveKey(match));
+			}
+			else this.unobserveKey(key);
 		}
 		return this;
 	}
@@ -110,8 +164,285 @@ class ObservedKeyList extends Set {
 	 */
 	clear(){
 		super.clear();
+		clearTimeout(this.timeoutId);
 		this.disposables.dispose();
 		this.disposables = new MappedDisposable();
+		this.changes.clear();
+		this.patterns.clear();
+		this.lastValues.clear();
+	}
+	
+	
+	/**
+	 * Resolve observed keys against a scope, such as that of an editor's grammar.
+	 *
+	 * Each key is re-evaluated in the new scope. Unlike ordinary changes,
+	 * keys whose values are unaffected by the change of scope aren't passed
+	 * to the callback, which isn't fired at all if nothing has changed.
+	 *
+	 * @example <caption>Observing font-size in roff documents</caption>
+	 *   list.add("editor.fontSize");
+	 *   list.setScope([".text.roff"]);
+	 *   list.setScope(editor.getRootScopeDescriptor());
+	 *
+	 * @param {?(ScopeDescriptor|String[])} scope
+	 *   Scope descriptor, or an array of scope names. Pass `null` to
+	 *   resolve keys globally.
+	 *
+	 * @return {ObservedKeyList}
+	 *   Reference to the calling instance.
+	 *
+	 * @public
+	 */
+	setScope(scope){
+		this.scope = scope || null;
+		for(const key of this.getObservedKeys()){
+			this.disposables.dispose(key);
+			this.observeKey(key, true);
+		}
+		return this;
+	}
+	
+	
+	/**
+	 * Subscribe to changes of a config key's value in the current {@link #scope}.
+	 *
+	 * @param {String} key
+	 * @param {Boolean} [rescoping=false]
+	 *   Ignore the initial value unless it differs from the last-known value.
+	 * @internal
+	 */
+	observeKey(key, rescoping = false){
+		const options = this.scope ? {scope: this.scope} : {};
+		let initial = rescoping;
+		this.disposables.add(key, atom.config.observe(key, options, value => {
+			const skip = initial && isEqual(this.lastValues.get(key), value);
+			initial = false;
+			skip || this.queueChange(key, value);
+		}));
+	}
+	
+	
+	/**
+	 * Stop observing a config key, unless it's still matched by something else.
+	 *
+	 * @param {String} key
+	 * @internal
+	 */
+	unobserveKey(key){
+		if(this.isObserved(key)) return;
+		this.disposables.dispose(key);
+		this.changes.delete(key);
+		this.lastValues.delete(key);
+	}
+	
+	
+	/**
+	 * Determine if a config key is being observed, either explicitly or by pattern.
+	 *
+	 * @param {String} key
+	 * @return {Boolean}
+	 * @internal
+	 */
+	isObserved(key){
+		if(super.has(key) && !this.patterns.has(key)) return true;
+		for(const matches of this.patterns.values())
+			if(matches.has(key)) return true;
+		return false;
+	}
+	
+	
+	/**
+	 * Retrieve every config key being observed, with patterns expanded.
+	 *
+	 * @return {Set}
+	 * @public
+	 */
+	getObservedKeys(){
+		const keys = new Set();
+		for(const key of this)
+			this.patterns.has(key)
+				? this.patterns.get(key).forEach(match => keys.add(match))
+				: keys.add(key);
+		return keys;
+	}
+	
+	
+	/**
+	 * Determine if a string contains wildcard characters.
+	 *
+	 * @param {String} key
+	 * @return {Boolean}
+	 * @internal
+	 */
+	isPattern(key){
+		return /[*?]/.test(key);
+	}
+	
+	
+	/**
+	 * Retrieve the part of a pattern which precedes its first wildcard.
+	 *
+	 * Only settings beneath this key-path can be matched by the pattern.
+	 *
+	 * @example
+	 *   list.getPatternPrefix("editor.font*") == "editor";
+	 *   list.getPatternPrefix("*.fontSize") == "";
+	 * @param {String} pattern
+	 * @return {String}
+	 * @internal
+	 */
+	getPatternPrefix(pattern){
+		return pattern.slice(0, pattern.search(/[*?]/)).replace(/\.?[^.]*$/, "");
+	}
+	
+	
+	/**
+	 * Match a wildcard pattern against the config schema, observing any new matches.
+	 *
+	 * Keys which no longer match (such as those of a package which
+	 * was deactivated) are unobserved unless matched by something else.
+	 *
+	 * @param {String} pattern
+	 * @internal
+	 */
+	expandPattern(pattern){
+		const matches = this.patterns.get(pattern);
+		if(!matches) return;
+		const regex = new RegExp("^" + pattern
+			.replace(/[\\^$.+()[\]{}|]/g, "\\$&")
+			.replace(/\*/g, ".*")
+			.replace(/\?/g, ".") + "$");
+		
+		const prefix = this.getPatternPrefix(pattern);
+		const schema = prefix ? atom.config.getSchema(prefix) : atom.config.schema;
+		const found = new Set();
+		const walk = (schema, path) => {
+			if(!schema) return;
+			if("object" === schema.type && schema.properties)
+				for(const name in schema.properties)
+					walk(schema.properties[name], path ? `${path}.${name}` : name);
+			else if(path && regex.test(path))
+				found.add(path);
+		};
+		walk(schema, prefix);
+		
+		for(const key of matches)
+			if(!found.has(key)){
+				matches.delete(key);
+				this.unobserveKey(key);
+			}
+		for(const key of found)
+			if(!matches.has(key)){
+				const observed = this.isObserved(key);
+				matches.add(key);
+				observed || this.observeKey(key);
+			}
+	}
+	
+	
+	/**
+	 * Record a key's new value and schedule a call to the instance's {@link #callback}.
+	 *
+	 * @param {String} key
+	 * @param {*} value
+	 * @internal
+	 */
+	queueChange(key, value){
+		const change = this.changes.get(key);
+		change
+			? change.newValue = value
+			: this.changes.set(key, {oldValue: this.lastValues.get(key), newValue: value});
+		this.lastValues.set(key, value);
+		this.scheduleCallback();
+	}
+	
+	
+	/**
+	 * Arrange for the {@link #callback} to be fired, subject to batching settings.
+	 * @internal
+	 */
+	scheduleCallback(){
+		if(this.paused || !this.callback) return;
+		
+		// No batching: fire on next tick
+		if(!(this.debounce > 0) && !(this.throttle > 0)){
+			if(this.callbackQueued) return;
+			this.callbackQueued = true;
+			process.nextTick(() => this.flush());
+			return;
+		}
+		
+		const now = Date.now();
+		if(null === this.firstQueued)
+			this.firstQueued = now;
+		let delay = Math.max(0, +this.debounce || 0);
+		if(this.maxWait > 0)
+			delay = Math.min(delay, this.firstQueued + this.maxWait - now);
+		if(this.throttle > 0)
+			delay = Math.max(delay, this.lastCalled + this.throttle - now);
+		clearTimeout(this.timeoutId);
+		this.callbackQueued = true;
+		this.timeoutId = setTimeout(() => this.flush(), Math.max(0, delay));
+	}
+	
+	
+	/**
+	 * Fire the {@link #callback} with every change recorded since it was last called.
+	 * @internal
+	 */
+	flush(){
+		clearTimeout(this.timeoutId);
+		this.timeoutId      = null;
+		this.firstQueued    = null;
+		this.callbackQueued = false;
+		if(this.paused || !this.callback || !this.changes.size) return;
+		const {changes} = this;
+		this.changes = new Map();
+		this.lastCalled = Date.now();
+		this.callback(changes);
+	}
+	
+	
+	/**
+	 * Suspend the callback until {@link #resume} is called.
+	 *
+	 * Changes which occur while paused are still recorded, and are
+	 * reported together once the list is resumed.
+	 *
+	 * @example <caption>Importing settings</caption>
+	 *   list.pause();
+	 *   await importSettings();
+	 *   list.resume();
+	 *
+	 * @return {ObservedKeyList}
+	 *   Reference to the calling instance.
+	 *
+	 * @public
+	 */
+	pause(){
+		clearTimeout(this.timeoutId);
+		this.paused         = true;
+		this.timeoutId      = null;
+		this.firstQueued    = null;
+		this.callbackQueued = false;
+		return this;
+	}
+	
+	
+	/**
+	 * Reenable a paused callback, firing it once if anything changed while paused.
+	 *
+	 * @return {ObservedKeyList}
+	 *   Reference to the calling instance.
+	 *
+	 * @public
+	 */
+	resume(){
+		if(!this.paused) return this;
+		this.paused = false;
+		this.changes.size && this.scheduleCallback();
+		return this;
 	}
 	
 	
@@ -182,11 +513,35 @@ class ObservedKeyList extends Set {
 	}
 }
 
+
+/**
+ * Compare two config values for equality.
+ *
+ * @param {*} a
+ * @param {*} b
+ * @return {Boolean}
+ * @internal
+ */
+function isEqual(a, b){
+	return a === b || null !== a && "object" === typeof a && JSON.stringify(a) === JSON.stringify(b);
+}
+
 // TODO: Replace with instance fields once supported
 Object.defineProperties(ObservedKeyList.prototype, {
 	[Symbol.toStringTag]: {value: "ObservedKeyList"},
 	callback:             {value: null, writable: true},
+	changes:              {value: null, writable: true},
+	debounce:             {value: 0,    writable: true},
 	disposables:          {value: null, writable: true},
+	firstQueued:          {value: null, writable: true},
+	lastCalled:           {value: 0,    writable: true},
+	lastValues:           {value: null, writable: true},
+	maxWait:              {value: 0,    writable: true},
+	patterns:             {value: null, writable: true},
+	paused:               {value: false, writable: true},
+	scope:                {value: null, writable: true},
+	throttle:             {value: 0,    writable: true},
+	timeoutId:            {value: null, writable: true},
 });
 
 module.exports = ObservedKeyList;
@@ -0,0 +1,377 @@
+"use strict";
+
+const CURRENT_CLASS = "live-view-current-page";
+const LAYOUTS = ["continuous", "single"];
+
+
+/**
+ * Navigates between pages of a preview's output.
+ *
+ * A page is any element with a `data-page` attribute. Pages are numbered
+ * from 1, in document order. Pages with a `data-lazy` attribute are empty
+ * placeholders whose content is produced by a loader function once they're
+ * scrolled near the viewport, and discarded whenever output is replaced.
+ *
+ * @property {HTMLElement} element
+ *   Indicator showing the current page, hidden unless output has pages.
+ *
+ * @property {HTMLElement} root
+ *   Element holding the pages, which scrolls to display them.
+ *
+ * @property {Number} current
+ *   Number of the current page, or 0 if there aren't any.
+ *
+ * @property {String} layout
+ *   Either "continuous", which stacks every page on top of each other,
+ *   or "single", which hides every page except the current one.
+ *
+ * @property {Map} loaders
+ *   Functions which generate the contents of lazy pages,
+ *   keyed by the value of each page's `data-lazy` attribute.
+ *
+ * @internal
+ * @class
+ */
+class Pager {
+	
+	/**
+	 * Create a new pager.
+	 *
+	 * @param {HTMLElement} root - Element holding pages
+	 * @param {Object} [options={}]
+	 * @param {Function} [options.onChange] - Called with `page` and `count` when either changes
+	 * @param {Function} [options.onLoad] - Called with a lazy page and its generated content
+	 * @param {Function} [options.onError] - Called with errors thrown by loaders, which are rethrown otherwise
+	 * @constructor
+	 */
+	constructor(root, {onChange, onLoad, onError} = {}){
+		this.root    = root;
+		this.current = 0;
+		this.layout  = "continuous";
+		this.loaders = new Map();
+		this.loads   = 0;
+		this.onChange = onChange || (() => {});
+		this.onLoad   = onLoad   || ((page, content) => page.append(content));
+		this.onError  = onError  || null;
+		this.root.dataset.pageLayout = this.layout;
+		this.root.addEventListener("scroll", () => "continuous" === this.layout && this.track(), {passive: true});
+		
+		this.element = document.createElement("div");
+		this.element.className = "live-view-pages btn-group";
+		this.element.hidden = true;
+		this.element.innerHTML = `
+			<button class="btn btn-sm icon icon-chevron-up previous" title="Previous Page"></button>
+			<button class="btn btn-sm number" title="Go to Page"></button>
+			<input class="input-text native-key-bindings" type="number" min="1" hidden/>
+			<button class="btn btn-sm icon icon-chevron-down next" title="Next Page"></button>
+		`;
+		this.number = this.element.querySelector(".number");
+		this.input  = this.element.querySelector("input");
+		this.input.addEventListener("blur", () => this.closePrompt());
+		this.input.addEventListener("keydown", event => {
+			switch(event.key){
+				case "Enter":  this.goTo(+this.input.value); this.closePrompt(); break;
+				case "Escape": this.closePrompt(); break;
+				default: return;
+			}
+			event.preventDefault();
+			event.stopPropagation();
+		});
+		this.number.addEventListener("click", () => this.prompt());
+		this.element.querySelector(".previous").addEventListener("click", () => this.previous());
+		this.element.querySelector(".next").addEventListener("click", () => this.next());
+	}
+	
+	
+	/**
+	 * Every page of output, in document order.
+	 * @property {HTMLElement[]}
+	 * @readonly
+	 */
+	get pages(){
+		return [...this.root.querySelectorAll("[data-page]")];
+	}
+	
+	
+	/**
+	 * Number of pages in the output.
+	 * @property {Number}
+	 * @readonly
+	 */
+	get count(){
+		return this.root.querySelectorAll("[data-page]").length;
+	}
+	
+	
+	/**
+	 * Synchronise the pager with freshly-displayed output.
+	 *
+	 * @param {Map} [loaders] - Functions for generating the contents of lazy pages
+	 * @public
+	 */
+	update(loaders = new Map()){
+		this.loaders = loaders;
+		this.observe();
+		this.goTo(this.current || 1, false);
+	}
+	
+	
+	/**
+	 * Make a page current.
+	 *
+	 * @param {Number} number - Page number, clamped to the range of available pages
+	 * @param {Boolean} [scroll=true] - Whether to scroll the page into view
+	 * @return {Number} The number of the current page.
+	 * @public
+	 */
+	goTo(number, scroll = true){
+		const {pages} = this;
+		this.current = pages.length
+			? Math.max(1, Math.min(pages.length, ~~number || 1))
+			: 0;
+		const page = pages[this.current - 1];
+		for(const other of pages)
+			other === page || other.classList.remove(CURRENT_CLASS);
+		if(page){
+			page.classList.add(CURRENT_CLASS);
+			if(scroll && "single" === this.layout)
+				this.root.scrollTop = 0;
+			else if(scroll){
+				this.root.scrollTop += page.getBoundingClientRect().top - this.root.getBoundingClientRect().top;
+				this.scrolledTo = this.root.scrollTop;
+			}
+		}
+		this.updateIndicator();
+		return this.current;
+	}
+	
+	
+	/**
+	 * Advance to the next page.
+	 * @return {Number}
+	 * @public
+	 */
+	next(){
+		return this.goTo(this.current + 1);
+	}
+	
+	
+	/**
+	 * Return to the previous page.
+	 * @return {Number}
+	 * @public
+	 */
+	previous(){
+		return this.goTo(this.current - 1);
+	}
+	
+	
+	/**
+	 * Jump to the first page.
+	 * @return {Number}
+	 * @public
+	 */
+	first(){
+		return this.goTo(1);
+	}
+	
+	
+	/**
+	 * Jump to the last page.
+	 * @return {Number}
+	 * @public
+	 */
+	last(){
+		return this.goTo(this.count);
+	}
+	
+	
+	/**
+	 * Switch to the page containing an element, if it's hidden by the single-page layout.
+	 *
+	 * @param {Node} node
+	 * @return {Boolean} Whether the current page changed.
+	 * @public
+	 */
+	reveal(node){
+		if("single" !== this.layout) return false;
+		const element = Node.ELEMENT_NODE === node.nodeType ? node : node.parentElement;
+		const page = element && element.closest("[data-page]");
+		const number = page ? this.pages.indexOf(page) + 1 : 0;
+		if(!number || number === this.current) return false;
+		this.goTo(number, false);
+		return true;
+	}
+	
+	
+	/**
+	 * Change how pages are arranged, keeping the current page in view.
+	 *
+	 * @param {String} layout - Either "continuous" or "single"
+	 * @public
+	 */
+	setLayout(layout){
+		if(!LAYOUTS.includes(layout)) return;
+		this.layout = layout;
+		this.root.dataset.pageLayout = layout;
+		this.current && this.goTo(this.current);
+	}
+	
+	
+	/**
+	 * Alternate between continuous and single-page layouts.
+	 * @return {String} The new layout.
+	 * @public
+	 */
+	toggleLayout(){
+		this.setLayout("single" === this.layout ? "continuous" : "single");
+		return this.layout;
+	}
+	
+	
+	/**
+	 * Replace the page number with a field for entering one.
+	 * @public
+	 */
+	prompt(){
+		if(!this.count) return;
+		this.input.value = this.current;
+		this.input.max = this.count;
+		this.number.hidden = true;
+		this.input.hidden = false;
+		this.input.focus();
+		this.input.select();
+	}
+	
+	
+	/**
+	 * Hide the field displayed by {@link #prompt}.
+	 * @internal
+	 */
+	closePrompt(){
+		if(this.input.hidden) return;
+		const focused = document.activeElement === this.input;
+		this.input.hidden = true;
+		this.number.hidden = false;
+		focused && this.element.parentElement && this.element.parentElement.focus();
+	}
+	
+	
+	/**
+	 * Update the current page to whichever occupies the top of the viewport.
+	 *
+	 * Pages are assumed to be stacked vertically, so they're bisected
+	 * instead of measuring each of them.
+	 *
+	 * @internal
+	 */
+	track(){
+		// Ignore the scroll performed by {@link #goTo}, which may not reach pages near the end
+		if(this.root.scrollTop === this.scrolledTo) return;
+		this.scrolledTo = null;
+		const {pages} = this;
+		if(!pages.length) return;
+		const {top, height} = this.root.getBoundingClientRect();
+		const threshold = top + Math.min(height / 3, 100);
+		let low = 0, high = pages.length - 1;
+		while(low < high){
+			const middle = (low + high) >> 1;
+			if(pages[middle].getBoundingClientRect().bottom > threshold)
+				high = middle;
+			else low = middle + 1;
+		}
+		if(low + 1 !== this.current)
+			this.goTo(low + 1, false);
+	}
+	
+	
+	/**
+	 * Start loading lazy pages when they approach the viewport.
+	 * @internal
+	 */
+	observe(){
+		if(this.observer){
+			this.observer.disconnect();
+			this.observer = null;
+		}
+		const pages = this.root.querySelectorAll("[data-page][data-lazy]");
+		if(!pages.length) return;
+		
+		// Use the constructor of whichever document the root belongs to (which may be a frame's)
+		const {IntersectionObserver} = this.root.ownerDocument.defaultView;
+		this.observer = new IntersectionObserver(entries => {
+			for(const {isIntersecting, target} of entries)
+				isIntersecting && this.load(target);
+		}, {root: this.root, rootMargin: "100% 0px"});
+		for(const page of pages)
+			this.observer.observe(page);
+	}
+	
+	
+	/**
+	 * Generate the contents of a lazy page, unless it's already been loaded.
+	 *
+	 * Results are discarded if the page is replaced or reloaded in the meantime.
+	 *
+	 * @param {HTMLElement} page
+	 * @return {Promise}
+	 * @internal
+	 */
+	async load(page){
+		const loader = this.loaders.get(page.dataset.lazy);
+		if(!loader || page.hasAttribute("data-loaded")) return;
+		const token = String(++this.loads);
+		page.dataset.loaded = token;
+		try{
+			const content = await loader(page);
+			if(token === page.dataset.loaded && this.root.contains(page))
+				this.onLoad(page, content);
+		}
+		catch(error){
+			if(token !== page.dataset.loaded) return;
+			if(!this.onError) throw error;
+			this.onError(error);
+		}
+	}
+	
+	
+	/**
+	 * Update the page number displayed by the indicator.
+	 *
+	 * Reports the change to {@link #onChange} if the current page or count differs.
+	 * @internal
+	 */
+	updateIndicator(){
+		const {count, current} = this;
+		this.element.hidden = !count;
+		this.number.textContent = `${current} / ${count}`;
+		if(!count) this.closePrompt();
+		if(!this.reported || this.reported.page !== current || this.reported.count !== count){
+			this.reported = {page: current, count};
+			this.onChange({page: current, count});
+		}
+	}
+	
+	
+	/**
+	 * Stop loading lazy pages.
+	 * @public
+	 */
+	dispose(){
+		this.observer && this.observer.disconnect();
+		this.observer = null;
+		this.loaders.clear();
+	}
+	
+	
+	/**
+	 * Class name of the current page.
+	 * @property {String}
+	 * @readonly
+	 */
+	static get currentClass(){
+		return CURRENT_CLASS;
+	}
+}
+
+module.exports = Pager;
@@ -0,0 +1,110 @@
+"use strict";
+
+
+/**
+ * Attributes which reflect user interaction, and are left alone unless new output sets them.
+ * @const {Object}
+ * @internal
+ */
+const PRESERVED_ATTRIBUTES = {
+	DETAILS: ["open"],
+	DIALOG:  ["open"],
+};
+
+
+/**
+ * Reconcile an element's children with those of another node.
+ *
+ * Only nodes which differ are modified, so unchanged content keeps its
+ * selection, focus and scroll position. Nodes are moved out of `source`
+ * when they're inserted into `target`, so `source` shouldn't be reused.
+ *
+ * @example patchDOM(view.output, template.content);
+ * @param {Element} target - Element holding the currently-displayed output
+ * @param {Node} source - Element or fragment holding the new output
+ * @return {Element} The target element.
+ * @internal
+ */
+function patchDOM(target, source){
+	const nodes = [...source.childNodes];
+	let current = target.firstChild;
+	
+	for(let i = 0; i < nodes.length; ++i){
+		const node = nodes[i];
+		if(!current){
+			target.appendChild(node);
+			continue;
+		}
+		
+		// Detect a single node being removed or inserted, to avoid rewriting its siblings
+		if(!current.isEqualNode(node)){
+			const next = current.nextSibling;
+			if(next && next.isEqualNode(node)){
+				target.removeChild(current);
+				current = next;
+			}
+			else if(i + 1 < nodes.length && current.isEqualNode(nodes[i + 1])){
+				target.insertBefore(node, current);
+				continue;
+			}
+		}
+		current = patchNode(current, node).nextSibling;
+	}
+	
+	while(current){
+		const next = current.nextSibling;
+		target.removeChild(current);
+		current = next;
+	}
+	return target;
+}
+
+
+/**
+ * Update a node to match another, replacing it if they're too dissimilar.
+ *
+ * @param {Node} current - Node being displayed
+ * @param {Node} node - Node from the new output
+ * @return {Node} Whichever node remains in the document.
+ * @internal
+ */
+function patchNode(current, node){
+	if(current.nodeType !== node.nodeType
+	|| current.nodeName !== node.nodeName
+	|| "CANVAS" === node.nodeName
+	|| Node.ELEMENT_NODE === node.nodeType && current.id !== node.id){
+		current.parentNode.replaceChild(node, current);
+		return node;
+	}
+	if(Node.ELEMENT_NODE !== node.nodeType){
+		if(current.nodeValue !== node.nodeValue)
+			current.nodeValue = node.nodeValue;
+		return current;
+	}
+	if(!current.isEqualNode(node)){
+		patchAttributes(current, node);
+		patchDOM(current, node);
+	}
+	return current;
+}
+
+
+/**
+ * Copy an element's attributes onto another, removing any it lacks.
+ *
+ * @param {Element} current
+ * @param {Element} node
+ * @internal
+ */
+function patchAttributes(current, node){
+	const preserved = PRESERVED_ATTRIBUTES[node.nodeName] || [];
+	for(const {name} of [...current.attributes])
+		if(!node.hasAttribute(name) && !preserved.includes(name))
+			current.removeAttribute(name);
+	for(const {name, value} of [...node.attributes])
+		if(current.getAttribute(name) !== value)
+			current.setAttribute(name, value);
+}
+
+
+module.exports = patchDOM;
@@ -0,0 +1,163 @@
+"use strict";
+
+const {createHash} = require("crypto");
+
+
+/**
+ * Bounded store of render output, keyed by a hash of whatever produced it.
+ *
+ * Entries are evicted in least-recently-used order once the cache holds
+ * more than {@link #limit} of them. A limit of 1 merely remembers the
+ * last output, which is enough to skip re-rendering identical input.
+ *
+ * @property {Number} limit
+ *   Maximum number of entries to retain.
+ *
+ * @property {Number} hits
+ *   Number of lookups which found an entry.
+ *
+ * @property {Number} misses
+ *   Number of lookups which didn't.
+ *
+ * @internal
+ * @class
+ */
+class RenderCache {
+	
+	/**
+	 * Initialise an empty cache.
+	 *
+	 * @param {Number} [limit=1] - Initial value of instance's {@link #limit}
+	 * @constructor
+	 */
+	constructor(limit = 1){
+		this.limit   = Math.max(1, ~~limit);
+		this.entries = new Map();
+		this.hits    = 0;
+		this.misses  = 0;
+	}
+	
+	
+	/**
+	 * Number of entries currently held by the cache.
+	 * @property {Number}
+	 * @readonly
+	 */
+	get size(){
+		return this.entries.size;
+	}
+	
+	
+	/**
+	 * Retrieve an entry, marking it as the most recently used.
+	 *
+	 * @param {String} key
+	 * @return {*} The cached value, or undefined if there isn't one.
+	 * @public
+	 */
+	get(key){
+		if(!this.entries.has(key)){
+			++this.misses;
+			return undefined;
+		}
+		++this.hits;
+		const value = this.entries.get(key);
+		this.entries.delete(key);
+		this.entries.set(key, value);
+		return value;
+	}
+	
+	
+	/**
+	 * Store an entry, evicting the least recently used if the cache is full.
+	 *
+	 * @param {String} key
+	 * @param {*} value
+	 * @public
+	 */
+	set(key, value){
+		this.entries.delete(key);
+		this.entries.set(key, value);
+		for(const oldest of this.entries.keys()){
+			if(this.entries.size <= this.limit) break;
+			this.entries.delete(oldest);
+		}
+	}
+	
+	
+	/**
+	 * Determine if the cache holds an entry, without affecting its statistics.
+	 *
+	 * @param {String} key
+	 * @return {Boolean}
+	 * @public
+	 */
+	has(key){
+		return this.entries.has(key);
+	}
+	
+	
+	/**
+	 * Remove an entry from the cache.
+	 *
+	 * @param {String} key
+	 * @public
+	 */
+	delete(key){
+		this.entries.delete(key);
+	}
+	
+	
+	/**
+	 * Empty the cache and reset its statistics.
+	 *
+	 * @param {Boolean} [resetStats=true] - Whether to zero {@link #hits} and {@link #misses}
+	 * @public
+	 */
+	clear(resetStats = true){
+		this.entries.clear();
+		if(resetStats){
+			this.hits = 0;
+			this.misses = 0;
+		}
+	}
+	
+	
+	/**
+	 * Summarise the cache's effectiveness, for diagnostic purposes.
+	 *
+	 * @return {Object} An object with `hits`, `misses`, `size` and `limit` properties.
+	 * @public
+	 */
+	getStats(){
+		const {hits, misses, size, limit} = this;
+		return {hits, misses, size, limit};
+	}
+	
+	
+	/**
+	 * Generate a key from a render's source and config values.
+	 *
+	 * @example RenderCache.hash("Source", new Map([["foo.bar", true]]));
+	 * @param {String} source
+	 * @param {Map|Object} [config={}]
+	 * @param {String} [context=""] - Anything else affecting output, such as a file path
+	 * @return {String}
+	 * @public
+	 */
+	static hash(source, config = {}, context = ""){
+		const entries = config instanceof Map
+			? [...config]
+			: Object.entries(config);
+		entries.sort(([a], [b]) => a < b ? -1 : a > b ? 1 : 0);
+		return createHash("sha1")
+			.update(String(source))
+			.update("\0")
+			.update(JSON.stringify(entries))
+			.update("\0")
+			.update(String(context))
+			.digest("hex");
+	}
+}
+
+module.exports = RenderCache;
@@ -0,0 +1,145 @@
+"use strict";
+
+const createController = require("./create-controller.js");
+
+
+/**
+ * Queue which coalesces render requests and cancels superseded ones.
+ *
+ * Requests made in quick succession are grouped into a single call, and
+ * requests made while a render is in progress abort the earlier render
+ * using the {@link AbortSignal} it was passed. Promises returned by
+ * {@link #schedule} resolve only once a render completes without being
+ * superseded, so callers never observe stale results.
+ *
+ * @property {Function} callback
+ *   Function which performs the actual rendering. Invoked with an {@link AbortSignal}
+ *   and expected to return a value (or a {@link Promise} resolving to one).
+ *
+ * @property {Number} delay
+ *   Milliseconds to wait for further requests before rendering.
+ *
+ * @internal
+ * @class
+ */
+class RenderScheduler {
+	
+	/**
+	 * Initialise a new scheduler.
+	 *
+	 * @param {Function} callback - Function assigned to instance's {@link #callback}
+	 * @param {Number} [delay=0] - Initial value of instance's {@link #delay}
+	 * @throws {TypeError} If callback isn't a function.
+	 * @constructor
+	 */
+	constructor(callback, delay = 0){
+		if("function" !== typeof callback)
+			throw new TypeError("Callback argument is not a function");
+		this.callback   = callback;
+		this.delay      = delay;
+		this.controller = null;
+		this.timeoutId  = null;
+		this.waiting    = [];
+		this.generation = 0;
+	}
+	
+	
+	/**
+	 * Whether a render is waiting to start or currently in progress.
+	 * @property {Boolean}
+	 * @readonly
+	 */
+	get busy(){
+		return null !== this.timeoutId || null !== this.controller;
+	}
+	
+	
+	/**
+	 * Request a render, aborting any that are still in progress.
+	 *
+	 * @param {Number} [delay=this.delay]
+	 *   Milliseconds to wait for further requests, overriding {@link #delay}.
+	 * @return {Promise}
+	 *   Resolves with the result of the first render to complete without
+	 *   being superseded, or null if the scheduler is cancelled first.
+	 * @public
+	 */
+	schedule(delay = this.delay){
+		if(this.controller){
+			this.controller.abort();
+			this.controller = null;
+		}
+		clearTimeout(this.timeoutId);
+		this.timeoutId = setTimeout(() => this.run(), Math.max(0, +delay || 0));
+		return new Promise((resolve, reject) => this.waiting.push({resolve, reject}));
+	}
+	
+	
+	/**
+	 * Abort the current render and discard any pending requests.
+	 * @public
+	 */
+	cancel(){
+		clearTimeout(this.timeoutId);
+		this.timeoutId = null;
+		if(this.controller){
+			this.controller.abort();
+			this.controller = null;
+		}
+		this.settle("resolve", null);
+	}
+	
+	
+	/**
+	 * Cancel everything and prevent future requests from rendering.
+	 * @public
+	 */
+	dispose(){
+		this.cancel();
+		this.schedule = () => Promise.resolve(null);
+	}
+	
+	
+	/**
+	 * Invoke the {@link #callback} and settle pending requests once it finishes.
+	 *
+	 * @return {Promise}
+	 * @internal
+	 */
+	async run(){
+		this.timeoutId = null;
+		const controller = this.controller = createController();
+		const generation = ++this.generation;
+		const isCurrent = () => !controller.signal.aborted && generation === this.generation;
+		try{
+			const result = await this.callback(controller.signal);
+			if(isCurrent()){
+				this.controller = null;
+				this.settle("resolve", result);
+			}
+		}
+		catch(error){
+			if(isCurrent()){
+				this.controller = null;
+				this.settle("reject", error);
+			}
+		}
+	}
+	
+	
+	/**
+	 * Resolve or reject every request still waiting on a render.
+	 *
+	 * @param {String} method - Either "resolve" or "reject"
+	 * @param {*} value
+	 * @internal
+	 */
+	settle(method, value){
+		const {waiting} = this;
+		this.waiting = [];
+		for(const request of waiting)
+			request[method](value);
+	}
+}
+
+module.exports = RenderScheduler;
@@ -0,0 +1,350 @@
+"use strict";
+
+const {fork} = require("child_process");
+const {join} = require("path");
+
+
+/**
+ * Runs a render module in a separate process, keeping heavy work off the UI thread.
+ *
+ * The module is loaded by `worker-host.js` in a child process (or a worker
+ * thread, if {@link #threaded} is set). It should export a function which
+ * receives the source being rendered and an object with the following:
+ *
+ *   signal:  An abort signal, set when the render has been superseded.
+ *   emit:    A function for sending output back to the view in fragments.
+ *   options: Serialisable data passed to {@link #render}.
+ *
+ * Whatever the function returns is appended to any emitted fragments.
+ *
+ * @example <caption>A render module</caption>
+ *   module.exports = async (source, {signal, emit}) => {
+ *       for(const page of paginate(source)){
+ *           if(signal.aborted) return;
+ *           emit(await convert(page));
+ *       }
+ *   };
+ *
+ * The process is started on demand, and restarted if it crashes or exceeds
+ * the {@link #timeout}. Renders in progress when this happens are rejected.
+ *
+ * @property {String} modulePath
+ *   Absolute path of the render module.
+ *
+ * @property {Number} timeout
+ *   Milliseconds a render may take before its process is restarted.
+ *   Zero disables the timeout.
+ *
+ * @property {Boolean} threaded
+ *   Whether to use a worker thread instead of a child process.
+ *
+ * @internal
+ * @class
+ */
+class RenderWorker {
+	
+	/**
+	 * Initialise a new worker. The process isn't started until it's needed.
+	 *
+	 * @param {String} modulePath
+	 * @param {Object}  [options={}]
+	 * @param {Number}  [options.timeout=30000]
+	 * @param {Boolean} [options.threaded=false]
+	 * @param {Number}  [options.cancelGrace=1000]
+	 *   Milliseconds to wait for a cancelled render to stop before killing the process.
+	 * @constructor
+	 */
+	constructor(modulePath, {timeout = 30000, threaded = false, cancelGrace = 1000} = {}){
+		if(!modulePath)
+			throw new TypeError("No render module specified");
+		this.modulePath  = modulePath;
+		this.timeout     = timeout;
+		this.threaded    = threaded;
+		this.cancelGrace = cancelGrace;
+		this.process     = null;
+		this.pending     = new Map();
+		this.cancelled   = new Map();
+		this.nextId      = 0;
+		this.stderr      = "";
+		this.disposed    = false;
+	}
+	
+	
+	/**
+	 * Whether the worker's process is currently running.
+	 * @property {Boolean}
+	 * @readonly
+	 */
+	get running(){
+		return null !== this.process;
+	}
+	
+	
+	/**
+	 * Render the given source using the worker's module.
+	 *
+	 * @param {String} source
+	 * @param {Object}      [options={}]
+	 * @param {AbortSignal} [options.signal] - Signal for cancelling the render
+	 * @param {Object}      [options.options] - Serialisable data passed to the module
+	 * @param {Function}    [options.onFragment] - Invoked with each fragment as it arrives
+	 * @return {Promise<String>} Every fragment of output, concatenated.
+	 * @public
+	 */
+	render(source, {signal = null, options = {}, onFragment = null} = {}){
+		if(this.disposed)
+			return Promise.reject(new Error("Render worker has been disposed"));
+		if(signal && signal.aborted)
+			return Promise.reject(createAbortError());
+		
+		return new Promise((resolve, reject) => {
+			const id = ++this.nextId;
+			const job = {id, resolve, reject, onFragment, fragments: [], signal, timeoutId: null};
+			this.pending.set(id, job);
+			
+			if(this.timeout > 0)
+				job.timeoutId = setTimeout(() => {
+					this.fail(job, new Error(`Render timed out after ${this.timeout}ms`));
+					this.restart();
+				}, this.timeout);
+			
+			if(signal){
+				job.onAbort = () => this.cancel(job);
+				signal.addEventListener("abort", job.onAbort);
+			}
+			
+			this.start();
+			this.send({type: "render", id, source, options});
+		});
+	}
+	
+	
+	/**
+	 * Start the worker's process, unless it's already running.
+	 * @internal
+	 */
+	start(){
+		if(this.process || this.disposed) return;
+		const host = join(__dirname, "worker-host.js");
+		this.stderr = "";
+		
+		if(this.threaded){
+			const {Worker} = require("worker_threads");
+			const worker = new Worker(host, {workerData: {modulePath: this.modulePath}, stderr: true});
+			worker.stderr.on("data", data => this.logError(data));
+			worker.on("message", message => this.receive(message));
+			worker.on("error", error => this.crashed(worker, error));
+			worker.on("exit", code => this.crashed(worker, code));
+			this.process = worker;
+		}
+		else{
+			const child = fork(host, [this.modulePath], {
+				env: {...process.env, ELECTRON_RUN_AS_NODE: "1"},
+				stdio: ["ignore", "ignore", "pipe", "ipc"],
+			});
+			child.stderr.on("data", data => this.logError(data));
+			child.on("message", message => this.receive(message));
+			child.on("error", error => this.crashed(child, error));
+			child.on("exit", (code, signal) => this.crashed(child, signal || code));
+			this.process = child;
+		}
+	}
+	
+	
+	/**
+	 * Terminate the worker's process. Renders still in progress are rejected.
+	 *
+	 * @param {Error} [reason]
+	 * @internal
+	 */
+	stop(reason = new Error("Render process was stopped")){
+		const proc = this.process;
+		if(!proc) return;
+		this.process = null;
+		this.threaded ? proc.terminate() : proc.kill();
+		this.forgetCancelled();
+		for(const job of this.pending.values())
+			this.fail(job, reason);
+	}
+	
+	
+	/**
+	 * Restart the worker's process, if it's running.
+	 * @internal
+	 */
+	restart(){
+		if(!this.process) return;
+		this.stop(new Error("Render process was restarted"));
+		this.pending.size && this.start();
+	}
+	
+	
+	/**
+	 * Stop the worker's process, and prevent it from being started again.
+	 * @public
+	 */
+	dispose(){
+		this.stop(new Error("Render worker has been disposed"));
+		this.disposed = true;
+	}
+	
+	
+	/**
+	 * Ask the worker to stop a render, killing its process if it doesn't comply.
+	 *
+	 * @param {Object} job
+	 * @internal
+	 */
+	cancel(job){
+		if(!this.pending.has(job.id)) return;
+		this.fail(job, createAbortError());
+		const proc = this.process;
+		if(!proc) return;
+		this.send({type: "cancel", id: job.id});
+		this.cancelled.set(job.id, setTimeout(() => {
+			this.cancelled.delete(job.id);
+			if(this.process === proc)
+				this.restart();
+		}, this.cancelGrace));
+	}
+	
+	
+	/**
+	 * Stop waiting for cancelled renders to finish.
+	 * @internal
+	 */
+	forgetCancelled(){
+		for(const timeoutId of this.cancelled.values())
+			clearTimeout(timeoutId);
+		this.cancelled.clear();
+	}
+	
+	
+	/**
+	 * Handle a message sent from the worker's process.
+	 *
+	 * @param {Object} message
+	 * @internal
+	 */
+	receive(message){
+		if(!message) return;
+		
+		// Cancelled render has finished winding down
+		if(this.cancelled.has(message.id) && ("done" === message.type || "error" === message.type)){
+			clearTimeout(this.cancelled.get(message.id));
+			this.cancelled.delete(message.id);
+			return;
+		}
+		
+		const job = this.pending.get(message.id);
+		if(!job) return;
+		switch(message.type){
+			case "fragment":
+				job.fragments.push(message.data);
+				job.onFragment && job.onFragment(message.data);
+				break;
+			case "done":
+				if(null != message.data)
+					job.fragments.push(message.data);
+				this.finish(job);
+				job.resolve(job.fragments.join(""));
+				break;
+			case "error": {
+				const error = new Error(message.message);
+				error.name  = message.name || "Error";
+				error.stack = message.stack || error.stack;
+				this.fail(job, error);
+				break;
+			}
+		}
+	}
+	
+	
+	/**
+	 * Respond to the unexpected exit of the worker's process.
+	 *
+	 * @param {ChildProcess|Worker} proc
+	 * @param {Error|Number|String} reason - Error object, exit code or signal name
+	 * @internal
+	 */
+	crashed(proc, reason){
+		if(this.process !== proc) return;
+		this.process = null;
+		this.forgetCancelled();
+		let error = reason;
+		if(!(reason instanceof Error)){
+			error = new Error(`Render process exited unexpectedly (${reason})`);
+			const stderr = this.stderr.trim();
+			if(stderr) error.stack = `${error.message}\n\n${stderr}`;
+		}
+		for(const job of this.pending.values())
+			this.fail(job, error);
+	}
+	
+	
+	/**
+	 * Reject a render and forget about it.
+	 *
+	 * @param {Object} job
+	 * @param {Error} error
+	 * @internal
+	 */
+	fail(job, error){
+		if(!this.pending.has(job.id)) return;
+		this.finish(job);
+		job.reject(error);
+	}
+	
+	
+	/**
+	 * Clean up after a render has settled.
+	 *
+	 * @param {Object} job
+	 * @internal
+	 */
+	finish(job){
+		clearTimeout(job.timeoutId);
+		this.pending.delete(job.id);
+		if(job.signal && job.onAbort)
+			job.signal.removeEventListener("abort", job.onAbort);
+	}
+	
+	
+	/**
+	 * Send a message to the worker's process, if it's running.
+	 *
+	 * @param {Object} message
+	 * @internal
+	 */
+	send(message){
+		if(!this.process) return;
+		this.threaded
+			? this.process.postMessage(message)
+			: this.process.connected && this.process.send(message);
+	}
+	
+	
+	/**
+	 * Keep the tail end of whatever the worker writes to stderr, for diagnosing crashes.
+	 *
+	 * @param {Buffer|String} data
+	 * @internal
+	 */
+	logError(data){
+		this.stderr = (this.stderr + data).slice(-4096);
+	}
+}
+
+
+/**
+ * Create an error indicating a render was aborted.
+ * @return {Error}
+ * @internal
+ */
+function createAbortError(){
+	const error = new Error("Render was aborted");
+	error.name = "AbortError";
+	return error;
+}
+
+module.exports = RenderWorker;
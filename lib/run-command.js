@@ -0,0 +1,107 @@
+"use strict";
+
+const {spawn} = require("child_process");
+const {basename} = require("path");
+
+
+/**
+ * Run an external program, optionally piping data to its standard input.
+ *
+ * Resolves with whatever the program wrote to stdout and stderr once it
+ * exits successfully. If it exits with a non-zero status, the promise is
+ * rejected with an error whose message holds the program's diagnostics.
+ *
+ * @example <caption>Formatting a manual page</caption>
+ *   const {stdout} = await runCommand("groff", ["-Thtml", "-man"], {input: source});
+ *
+ * @param {String} command - Name or path of the program to run
+ * @param {String[]} [args=[]] - Arguments passed to the program
+ * @param {Object}      [options={}]
+ * @param {String}      [options.input] - Data written to the program's stdin
+ * @param {String}      [options.cwd] - Program's working directory
+ * @param {Object}      [options.env] - Variables added to the program's environment
+ * @param {Number}      [options.timeout=0] - Milliseconds to wait before killing the program
+ * @param {AbortSignal} [options.signal] - Signal which kills the program when aborted
+ * @param {String}      [options.encoding="utf8"] - Encoding of the program's output
+ * @return {Promise<Object>} An object with `stdout`, `stderr` and `code` properties.
+ * @internal
+ */
+function runCommand(command, args = [], options = {}){
+	const {input = null, cwd, env = {}, timeout = 0, signal = null, encoding = "utf8"} = options;
+	const name = basename(command);
+	
+	return new Promise((resolve, reject) => {
+		if(signal && signal.aborted)
+			return reject(createAbortError(name));
+		
+		const child = spawn(command, args, {
+			cwd,
+			env: {...process.env, ...env},
+			stdio: ["pipe", "pipe", "pipe"],
+			windowsHide: true,
+		});
+		
+		const stdout = [];
+		const stderr = [];
+		let timeoutId = null;
+		let settled = false;
+		
+		const settle = (fn, value) => {
+			if(settled) return;
+			settled = true;
+			clearTimeout(timeoutId);
+			signal && signal.removeEventListener("abort", onAbort);
+			fn(value);
+		};
+		const kill = error => {
+			child.kill();
+			settle(reject, error);
+		};
+		const onAbort = () => kill(createAbortError(name));
+		
+		if(signal)
+			signal.addEventListener("abort", onAbort);
+		if(timeout > 0)
+			timeoutId = setTimeout(() => kill(new Error(`${name} timed out after ${timeout}ms`)), timeout);
+		
+		child.stdout.on("data", data => stdout.push(data));
+		child.stderr.on("data", data => stderr.push(data));
+		child.on("error", error => settle(reject, "ENOENT" === error.code
+			? new Error(`Command not found: ${command}`)
+			: error));
+		child.on("close", (code, killSignal) => {
+			const result = {
+				stdout: Buffer.concat(stdout).toString(encoding),
+				stderr: Buffer.concat(stderr).toString("utf8"),
+				code,
+			};
+			if(0 === code)
+				return settle(resolve, result);
+			const status = null === code ? `was killed (${killSignal})` : `exited with code ${code}`;
+			const error = new Error(result.stderr.trim() || `${name} ${status}`);
+			error.stack = `${name} ${status}\n\n${result.stderr.trim()}`.trim();
+			Object.assign(error, result);
+			settle(reject, error);
+		});
+		
+		// Ignore EPIPE errors from programs which exit without reading their input
+		child.stdin.on("error", () => {});
+		child.stdin.end(null == input ? "" : input);
+	});
+}
+
+
+/**
+ * Create an error indicating a command was aborted.
+ *
+ * @param {String} name
+ * @return {Error}
+ * @internal
+ */
+function createAbortError(name){
+	const error = new Error(`${name} was aborted`);
+	error.name = "AbortError";
+	return error;
+}
+
+module.exports = runCommand;
@@ -0,0 +1,211 @@
+"use strict";
+
+
+/**
+ * Isolated surface for displaying output which can't be trusted.
+ *
+ * Content is hosted by a sandboxed `<iframe>` which forbids scripts, forms,
+ * popups and navigation, and whose Content Security Policy blocks requests
+ * for anything except local or inline resources. The frame shares its origin
+ * with Atom, and its document is accessed directly.
+ *
+ * Frames reload whenever they're moved within the DOM (such as when a pane
+ * item is dragged elsewhere), so the content element is remounted each time.
+ *
+ * Untrusted markup must never be parsed or inserted while the content element
+ * still belongs to Atom's document, where event handlers like `onerror` run
+ * with full access to Node. Nodes should be created in {@link #targetDocument},
+ * and only inserted into the content element once {@link #mounted} is true.
+ *
+ * @property {HTMLIFrameElement} element
+ *   The frame itself, which should be attached to the view's element.
+ *
+ * @property {HTMLElement} content
+ *   Element displayed by the frame.
+ *
+ * @property {String} policy
+ *   Content Security Policy enforced inside the frame.
+ *
+ * @property {String} styles
+ *   CSS added to the frame's document.
+ *
+ * @property {?Node} contextTarget
+ *   Node inside the frame which was last right-clicked.
+ *
+ * @internal
+ * @class
+ */
+class SandboxFrame {
+	
+	/**
+	 * Create a new frame. Its content isn't displayed until the frame is attached.
+	 *
+	 * @param {HTMLElement} content - Element displayed inside the frame
+	 * @param {Object} [options={}]
+	 * @param {String} [options.policy=SandboxFrame.defaultPolicy]
+	 * @param {String} [options.className=""] - Classes added to the frame's `<body>`
+	 * @constructor
+	 */
+	constructor(content, {policy = SandboxFrame.defaultPolicy, className = ""} = {}){
+		this.content = content;
+		this.policy  = policy;
+		this.styles  = "";
+		this.contextTarget = null;
+		this.element = document.createElement("iframe");
+		this.element.className = "live-view-sandbox";
+		this.element.setAttribute("sandbox", "allow-same-origin");
+		this.element.srcdoc = "<!DOCTYPE html>"
+			+ '<html><head><meta charset="utf-8"/>'
+			+ `<meta http-equiv="Content-Security-Policy" content="${escape(policy)}"/>`
+			+ `<style>${SandboxFrame.baseStyles}</style>`
+			+ '<style class="live-view-styles"></style>'
+			+ `</head><body class="${escape(className)}"></body></html>`;
+		this.element.addEventListener("load", () => this.mount());
+	}
+	
+	
+	/**
+	 * The frame's document, if it's been loaded.
+	 * @property {?Document}
+	 * @readonly
+	 */
+	get document(){
+		const doc = this.element.contentDocument;
+		return doc && doc.body ? doc : null;
+	}
+	
+	
+	/**
+	 * Whether the content element has been moved into the frame's document.
+	 * @property {Boolean}
+	 * @readonly
+	 */
+	get mounted(){
+		const doc = this.document;
+		return !!doc && doc === this.content.ownerDocument;
+	}
+	
+	
+	/**
+	 * Document in which nodes should be created before they're displayed.
+	 *
+	 * This is the frame's document once it's mounted, and an inert document
+	 * before then, which neither loads resources nor runs event handlers.
+	 *
+	 * @property {Document}
+	 * @readonly
+	 */
+	get targetDocument(){
+		if(this.mounted)
+			return this.document;
+		if(!this.inertDocument)
+			this.inertDocument = document.implementation.createHTMLDocument("");
+		return this.inertDocument;
+	}
+	
+	
+	/**
+	 * Move the content element into the frame's current document.
+	 * @internal
+	 */
+	mount(){
+		const doc = this.document;
+		if(!doc) return;
+		doc.body.appendChild(doc.adoptNode(this.content));
+		doc.querySelector("style.live-view-styles").textContent = this.styles;
+		
+		// Let keystrokes reach Atom's keymap, which listens to the outer document
+		for(const type of ["keydown", "keyup"])
+			doc.addEventListener(type, event => {
+				const clone = new KeyboardEvent(type, event);
+				this.element.dispatchEvent(clone) || event.preventDefault();
+			});
+		
+		// Open Atom's context menu, positioned relative to Atom's window instead of the frame's
+		doc.addEventListener("contextmenu", event => {
+			event.preventDefault();
+			const {left, top} = this.element.getBoundingClientRect();
+			this.contextTarget = event.target;
+			this.element.dispatchEvent(new MouseEvent("contextmenu", {
+				bubbles:    true,
+				cancelable: true,
+				button:     event.button,
+				buttons:    event.buttons,
+				clientX:    event.clientX + left,
+				clientY:    event.clientY + top,
+				screenX:    event.screenX,
+				screenY:    event.screenY,
+				altKey:     event.altKey,
+				ctrlKey:    event.ctrlKey,
+				metaKey:    event.metaKey,
+				shiftKey:   event.shiftKey,
+			}));
+		});
+	}
+	
+	
+	/**
+	 * Replace the stylesheet added to the frame's document.
+	 *
+	 * @param {String} css
+	 * @public
+	 */
+	setStyles(css){
+		this.styles = String(css);
+		const doc = this.document;
+		if(doc) doc.querySelector("style.live-view-styles").textContent = this.styles;
+	}
+	
+	
+	/**
+	 * Remove the frame from the DOM.
+	 * @public
+	 */
+	destroy(){
+		this.element.remove();
+	}
+	
+	
+	/**
+	 * Policy used if none is specified: no scripts, no remote resources, inline styles only.
+	 * @property {String}
+	 * @readonly
+	 */
+	static get defaultPolicy(){
+		return [
+			"default-src 'none'",
+			"img-src data: blob: file:",
+			"media-src data: blob: file:",
+			"font-src data: file:",
+			"style-src 'unsafe-inline' file:",
+		].join("; ");
+	}
+	
+	
+	/**
+	 * Styles which make the frame's `<body>` fill the frame.
+	 *
+	 * The content element is styled by the package's stylesheet, which is
+	 * added to the frame by whoever creates it. See {@link #setStyles}.
+	 *
+	 * @property {String}
+	 * @readonly
+	 */
+	static get baseStyles(){
+		return "html, body { height: 100%; margin: 0; }";
+	}
+}
+
+
+/**
+ * Escape a string for use in an HTML attribute.
+ *
+ * @param {String} string
+ * @return {String}
+ * @internal
+ */
+function escape(string){
+	return String(string).replace(/[&<>"]/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+module.exports = SandboxFrame;
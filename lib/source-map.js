@@ -0,0 +1,169 @@
+"use strict";
+
+const {Point, Range} = require("atom");
+
+
+/**
+ * Mapping between rendered output and the source ranges it was generated from.
+ *
+ * Ranges are stored as `data-source-range` attributes on output elements, so
+ * renderers which emit markup as a string can tag elements without needing
+ * a reference to the DOM. Accepted formats are (zero-indexed):
+ *
+ *   "12"            Row 12, in its entirety
+ *   "12:4"          Row 12, from column 4 onwards
+ *   "12-20"         Rows 12 through 20
+ *   "12:4-20:16"    Row 12, column 4 to row 20, column 16
+ *
+ * @property {HTMLElement} root
+ *   Element containing the output being mapped.
+ *
+ * @internal
+ * @class
+ */
+class SourceMap {
+	
+	/**
+	 * Create a new map for the given output element.
+	 *
+	 * @param {HTMLElement} root
+	 * @constructor
+	 */
+	constructor(root){
+		this.root = root;
+	}
+	
+	
+	/**
+	 * Name of the attribute holding an element's source range.
+	 * @property {String}
+	 * @readonly
+	 */
+	static get attribute(){
+		return "data-source-range";
+	}
+	
+	
+	/**
+	 * Associate an output element with a range of source text.
+	 *
+	 * @param {HTMLElement} element
+	 * @param {Range|Point|Number|String|Array} range
+	 * @return {HTMLElement} The element that was tagged.
+	 * @public
+	 */
+	static tag(element, range){
+		element.setAttribute(this.attribute, this.stringify(range));
+		return element;
+	}
+	
+	
+	/**
+	 * Parse the value of a `data-source-range` attribute.
+	 *
+	 * @example SourceMap.parse("4:2-6") == new Range([4, 2], [6, Infinity]);
+	 * @param {String} input
+	 * @return {?Range} The parsed range, or null if the input was malformed.
+	 * @internal
+	 */
+	static parse(input){
+		const match = String(input).trim().match(/^(\d+)(?::(\d+))?(?:\s*-\s*(\d+)(?::(\d+))?)?$/);
+		if(!match) return null;
+		const [, startRow, startColumn = 0, endRow = startRow, endColumn = Infinity] = match;
+		return new Range(
+			new Point(+startRow, +startColumn),
+			new Point(+endRow, endColumn === Infinity ? Infinity : +endColumn),
+		);
+	}
+	
+	
+	/**
+	 * Convert a range-like value into an attribute string.
+	 *
+	 * @example SourceMap.stringify([[4, 2], [6, 0]]) == "4:2-6:0";
+	 * @param {Range|Point|Number|String|Array} input
+	 * @return {String}
+	 * @internal
+	 */
+	static stringify(input){
+		if("string" === typeof input) return input;
+		if("number" === typeof input) return String(input);
+		if(input instanceof Point || Array.isArray(input) && "number" === typeof input[0])
+			input = new Range(input, [Point.fromObject(input).row, Infinity]);
+		const {start, end} = Range.fromObject(input);
+		const from = `${start.row}:${start.column}`;
+		return end.column === Infinity
+			? start.row === end.row ? from : `${from}-${end.row}`
+			: `${from}-${end.row}:${end.column}`;
+	}
+	
+	
+	/**
+	 * Retrieve every mapped element, in document order.
+	 * @return {HTMLElement[]}
+	 * @public
+	 */
+	getElements(){
+		return Array.from(this.root.querySelectorAll(`[${SourceMap.attribute}]`));
+	}
+	
+	
+	/**
+	 * Retrieve the source range of an element, or of its nearest mapped ancestor.
+	 *
+	 * @param {Node} node
+	 * @return {?Range}
+	 * @public
+	 */
+	rangeForElement(node){
+		const element = this.elementForNode(node);
+		return element ? SourceMap.parse(element.getAttribute(SourceMap.attribute)) : null;
+	}
+	
+	
+	/**
+	 * Locate the nearest mapped element enclosing a node.
+	 *
+	 * @param {Node} node
+	 * @return {?HTMLElement}
+	 * @public
+	 */
+	elementForNode(node){
+		if(node && node.nodeType !== Node.ELEMENT_NODE)
+			node = node.parentElement;
+		if(!node || !this.root.contains(node)) return null;
+		const element = node.closest(`[${SourceMap.attribute}]`);
+		return element && this.root.contains(element) ? element : null;
+	}
+	
+	
+	/**
+	 * Locate the output element which best represents a source position.
+	 *
+	 * The innermost element whose range contains the position is preferred.
+	 * Failing that, the closest element which precedes it is returned.
+	 *
+	 * @param {Point|Array} point
+	 * @return {?HTMLElement}
+	 * @public
+	 */
+	elementForPosition(point){
+		point = Point.fromObject(point);
+		let match = null, matchRange = null;
+		let preceding = null, precedingStart = null;
+		for(const element of this.getElements()){
+			const range = this.rangeForElement(element);
+			if(!range) continue;
+			if(range.containsPoint(point)){
+				if(!matchRange || matchRange.containsRange(range))
+					[match, matchRange] = [element, range];
+			}
+			else if(range.start.isLessThanOrEqual(point)
+			&& (!precedingStart || range.start.isGreaterThanOrEqual(precedingStart)))
+				[preceding, precedingStart] = [element, range.start];
+		}
+		return match || preceding;
+	}
+}
+
+module.exports = SourceMap;
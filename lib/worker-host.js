@@ -0,0 +1,54 @@
+"use strict";
+
+/**
+ * Entry point of processes started by {@link RenderWorker}.
+ *
+ * Loads a render module and runs it whenever a "render" message arrives,
+ * reporting back with "fragment", "done" and "error" messages. A "cancel"
+ * message aborts the signal passed to the render module.
+ */
+
+const threads = (() => {
+	try{ return require("worker_threads"); }
+	catch(e){ return null; }
+})();
+
+const port = threads && threads.parentPort
+	? {send: message => threads.parentPort.postMessage(message), on: threads.parentPort.on.bind(threads.parentPort)}
+	: {send: message => process.connected && process.send(message), on: process.on.bind(process)};
+
+const modulePath = threads && threads.workerData
+	? threads.workerData.modulePath
+	: process.argv[2];
+
+const createController = require("./create-controller.js");
+const render = require(modulePath);
+const controllers = new Map();
+
+port.on("message", async message => {
+	if(!message) return;
+	const {id, type} = message;
+	switch(type){
+		case "cancel":
+			controllers.has(id) && controllers.get(id).abort();
+			break;
+
+		case "render": {
+			const controller = createController();
+			controllers.set(id, controller);
+			try{
+				const emit = data => controller.signal.aborted || port.send({type: "fragment", id, data: String(data)});
+				const data = await render(message.source, {signal: controller.signal, emit, options: message.options || {}});
+				port.send({type: "done", id, data: null == data ? null : String(data)});
+			}
+			catch(e){
+				const error = e || new Error("Unknown error");
+				port.send({type: "error", id, name: error.name, message: error.message || String(error), stack: error.stack});
+			}
+			finally{
+				controllers.delete(id);
+			}
+			break;
+		}
+	}
+});
@@ -0,0 +1,540 @@
+"use strict";
+
+const AtomLiveView = require("../lib/atom-live-view.js");
+const {existsSync, mkdtempSync, readFileSync, rmdirSync, unlinkSync} = require("fs");
+const {tmpdir} = require("os");
+const {join} = require("path");
+const wait = ms => new Promise(resolve => setTimeout(() => resolve(), ms));
+const until = async (condition, timeout = 5000) => {
+	for(const start = Date.now(); !condition(); await wait(10))
+		if(Date.now() - start > timeout) throw new Error("Timed out");
+};
+
+
+describe("AtomLiveView", () => {
+	when("deserialised", () => {
+		let migrations = [];
+		class StatefulView extends AtomLiveView {
+			constructor(state){
+				return {state};
+			}
+			static get stateVersion(){ return 2; }
+			static migrateState(state, version){
+				migrations.push(version);
+				if(version < 2) state.zoom = state.scale;
+				return state;
+			}
+		}
+		const restore = params => StatefulView.deserialize(params).state;
+		beforeEach(() => migrations = []);
+		
+		it("upgrades state saved in an older format", () => {
+			const state = restore({filePath: "/foo", following: 1});
+			expect(state.version).to.equal(1);
+			expect(state.following).to.be.true;
+			expect(state.autoRefresh).to.be.true;
+			expect(state.filePath).to.equal("/foo");
+		});
+		
+		it("leaves current state alone", () => {
+			const state = restore({version: 1, stateVersion: 2, following: false, autoRefresh: false});
+			expect(state.following).to.be.false;
+			expect(state.autoRefresh).to.be.false;
+			expect(migrations).to.be.empty;
+		});
+		
+		it("doesn't modify the saved object", () => {
+			const params = {following: 1, stateVersion: 1};
+			restore(params);
+			expect(params).to.eql({following: 1, stateVersion: 1});
+		});
+		
+		it("lets subclasses migrate their own state", () => {
+			expect(restore({version: 1, stateVersion: 1, scale: 2}).zoom).to.equal(2);
+			expect(restore({scale: 3}).zoom).to.equal(3);
+			expect(migrations).to.eql([1, 0]);
+		});
+		
+		it("doesn't migrate anything by default", () => {
+			const state = {version: 1, zoom: 2};
+			expect(AtomLiveView.migrateState(state, 0)).to.equal(state);
+			expect(state).to.eql({version: 1, zoom: 2});
+		});
+	});
+	
+	when("restoring an editor's preview", () => {
+		let dir = "";
+		let path = "";
+		let editor = null;
+		let view = null;
+		beforeEach(async () => {
+			dir = mkdtempSync(join(tmpdir(), "live-view-"));
+			path = join(dir, "source.txt");
+			editor = await atom.workspace.open();
+			editor.setText("Foo");
+			await editor.saveAs(path);
+		});
+		afterEach(() => {
+			view && view.destroy();
+			for(const pane of atom.workspace.getPanes())
+				pane.destroyItems();
+			unlinkSync(path);
+			rmdirSync(dir);
+		});
+		
+		it("reuses the editor if it's still open", async () => {
+			view = new AtomLiveView({editorId: editor.id, filePath: path});
+			await until(() => view.editor);
+			expect(view.editor).to.equal(editor);
+		});
+		
+		it("reopens the file if the editor has closed", async () => {
+			const {id} = editor;
+			editor.destroy();
+			const reopened = await atom.workspace.open(path);
+			expect(reopened.id).not.to.equal(id);
+			view = new AtomLiveView({editorId: id, filePath: path});
+			await until(() => view.editor);
+			expect(view.editor).to.equal(reopened);
+		});
+		
+		it("watches the file if nothing is editing it", async () => {
+			const {id} = editor;
+			editor.destroy();
+			view = new AtomLiveView({editorId: id, filePath: path});
+			await until(() => view.file);
+			expect(view.editor).to.be.null;
+			expect(view.file.getPath()).to.equal(path);
+		});
+		
+		it("only looks for editors by path if one was being previewed", async () => {
+			view = new AtomLiveView({filePath: path});
+			await until(() => view.file);
+			expect(view.editor).to.be.null;
+		});
+	});
+	
+	when("previewing an editor", () => {
+		class MappedView extends AtomLiveView {
+			render(){
+				const lines = this.editor.getText().split("\n");
+				return lines.map((line, row) => `<p data-source-range="${row}">${line}</p>`).join("");
+			}
+		}
+		let editor = null;
+		let view = null;
+		beforeEach(async () => {
+			editor = await atom.workspace.open();
+			editor.setText("Foo\n".repeat(100));
+			view = new MappedView({editorId: editor.id});
+			await new Promise(resolve => view.onDidFinishRender(resolve));
+		});
+		afterEach(() => {
+			view.destroy();
+			editor.destroy();
+		});
+		
+		it("doesn't scroll the editor after rendering", async () => {
+			let synced = 0;
+			view.syncEditorScroll = () => ++synced;
+			const scrollTop = editor.element.getScrollTop();
+			await view.refresh(0);
+			view.output.dispatchEvent(new Event("scroll"));
+			expect(editor.element.getScrollTop()).to.equal(scrollTop);
+			expect(synced).to.equal(0);
+		});
+	});
+	
+	when("a render fails", () =>
+		it("displays the error until it's retried", async () => {
+			class FailingView extends AtomLiveView {
+				render(){
+					if(this.broken) throw new Error("Broken");
+					return "Fixed";
+				}
+			}
+			const view = new FailingView();
+			view.broken = true;
+			await view.refresh(0);
+			expect(view.errorOverlay.visible).to.be.true;
+			expect(view.errorOverlay.error.message).to.equal("Broken");
+			
+			view.broken = false;
+			const rendered = new Promise(resolve => view.onDidFinishRender(resolve));
+			view.errorOverlay.element.querySelector(".retry").click();
+			await rendered;
+			expect(view.errorOverlay.visible).to.be.false;
+			expect(view.output.textContent).to.equal("Fixed");
+			view.destroy();
+		}));
+	
+	when("its source is closed", () => {
+		class SourceView extends AtomLiveView {
+			async render(){ return this.getSource(); }
+		}
+		let dir = "";
+		let path = "";
+		let editor = null;
+		let view = null;
+		beforeEach(async () => {
+			dir = mkdtempSync(join(tmpdir(), "live-view-"));
+			path = join(dir, "source.txt");
+			editor = await atom.workspace.open();
+			editor.setText("Foo");
+			view = new SourceView({editorId: editor.id});
+			await until(() => view.editor === editor && "Foo" === view.output.textContent);
+		});
+		afterEach(() => {
+			view.destroy();
+			for(const pane of atom.workspace.getPanes())
+				pane.destroyItems();
+			existsSync(path) && unlinkSync(path);
+			rmdirSync(dir);
+		});
+		
+		it("keeps displaying unsaved text", async () => {
+			editor.destroy();
+			expect(view.editor).to.be.null;
+			expect(view.detached).to.equal("closed");
+			expect(view.notice.hidden).to.be.false;
+			expect(view.notice.textContent).to.contain("closed without being saved");
+			expect(view.output.textContent).to.equal("Foo");
+			expect(await view.getSource()).to.equal("Foo");
+			expect(view.serialize().source).to.equal("Foo");
+		});
+		
+		it("watches the file it was saved to", async () => {
+			await editor.saveAs(path);
+			editor.destroy();
+			expect(view.detached).to.be.null;
+			expect(view.notice.hidden).to.be.true;
+			expect(view.file.getPath()).to.equal(path);
+			expect(view.getPath()).to.equal(path);
+			expect(view.serialize().source).to.be.undefined;
+		});
+		
+		it("reattaches itself when the file is reopened", async () => {
+			await editor.saveAs(path);
+			editor.destroy();
+			unlinkSync(path);
+			await until(() => "deleted" === view.detached);
+			expect(view.notice.hidden).to.be.false;
+			expect(view.notice.textContent).to.contain("deleted or moved");
+			
+			const reopened = await atom.workspace.open(path);
+			await until(() => view.editor === reopened);
+			expect(view.detached).to.be.null;
+			expect(view.notice.hidden).to.be.true;
+		});
+	});
+	
+	when("created without a source", () =>
+		it("doesn't claim one was closed", async () => {
+			const view = new AtomLiveView();
+			await wait(50);
+			expect(view.detached).not.to.be.ok;
+			expect(view.notice.hidden).to.be.true;
+			view.destroy();
+		}));
+	
+	when("choosing which editors to preview", () => {
+		class GrammarView extends AtomLiveView {
+			static get grammars(){ return ["source.live-view-spec"]; }
+			static get protocolName(){ return "grammar-view"; }
+		}
+		let grammar = null;
+		let editor = null;
+		let disposables = [];
+		const previewOf = editor => {
+			const uri = GrammarView.uriForEditor(editor);
+			const pane = atom.workspace.paneForURI(uri);
+			return pane ? pane.itemForURI(uri) : null;
+		};
+		beforeEach(async () => {
+			grammar = atom.grammars.createGrammar(__filename, {
+				name: "Live View Spec",
+				scopeName: "source.live-view-spec",
+				patterns: [],
+			});
+			disposables = [
+				atom.grammars.addGrammar(grammar),
+				atom.workspace.addOpener(GrammarView.opener),
+			];
+			editor = await atom.workspace.open();
+		});
+		afterEach(() => {
+			for(const pane of atom.workspace.getPanes())
+				pane.destroyItems();
+			disposables.forEach(disposable => disposable.dispose());
+			atom.config.unset("grammar-view.openAutomatically");
+		});
+		
+		it("refuses editors with unsupported grammars", () => {
+			const notifications = [];
+			const subscription = atom.notifications.onDidAddNotification(note => notifications.push(note));
+			expect(GrammarView.supportsEditor(editor)).to.be.false;
+			GrammarView.add(editor);
+			subscription.dispose();
+			expect(notifications).to.have.lengthOf(1);
+			expect(notifications[0].getType()).to.equal("warning");
+			expect(notifications[0].getMessage()).to.equal(`Unable to preview ${editor.getTitle()}`);
+			expect(previewOf(editor)).to.be.null;
+		});
+		
+		it("refuses anything which isn't an editor", () => {
+			expect(GrammarView.supportsEditor(null)).to.be.false;
+			expect(AtomLiveView.supportsEditor({getGrammar: () => grammar})).to.be.false;
+		});
+		
+		it("accepts editors with supported grammars", async () => {
+			editor.setGrammar(grammar);
+			expect(GrammarView.supportsEditor(editor)).to.be.true;
+			GrammarView.add(editor);
+			await until(() => previewOf(editor));
+			expect(previewOf(editor)).to.be.an.instanceOf(GrammarView);
+			expect(previewOf(editor).editorId).to.equal(editor.id);
+		});
+		
+		it("accepts every editor if it doesn't specify any grammars", () =>
+			expect(AtomLiveView.supportsEditor(editor)).to.be.true);
+		
+		it("previews editors whose grammar is changed to a supported one", async () => {
+			const observer = GrammarView.observeEditors();
+			atom.config.set("grammar-view.openAutomatically", true);
+			const other = atom.grammars.createGrammar(__filename, {name: "Other", scopeName: "source.other", patterns: []});
+			disposables.push(atom.grammars.addGrammar(other));
+			editor.setGrammar(other);
+			await wait(50);
+			expect(previewOf(editor)).to.be.null;
+			editor.setGrammar(grammar);
+			await until(() => previewOf(editor));
+			observer.dispose();
+		});
+		
+		it("only previews editors automatically if enabled", async () => {
+			const observer = GrammarView.observeEditors();
+			editor.setGrammar(grammar);
+			await wait(50);
+			expect(previewOf(editor)).to.be.null;
+			observer.dispose();
+		});
+	});
+	
+	when("exporting", () => {
+		class ExportView extends AtomLiveView {
+			render(){ return this.text; }
+		}
+		let view = null;
+		const parse = (text, type = "text/html") => new DOMParser().parseFromString(text, type);
+		beforeEach(async () => {
+			view = new ExportView();
+			view.text = '<p data-source-range="0">Foo</p>';
+			view.getPackageStyles = () => [".export-view p { color: #f00; }"];
+			await view.refresh(0);
+		});
+		afterEach(() => view.destroy());
+		
+		it("wraps HTML in a standalone document", () => {
+			const doc = parse(view.exportHTML());
+			expect(doc.title).to.equal("Preview");
+			expect(doc.querySelector("head > style").textContent).to.contain(".export-view p { color: #f00; }");
+			expect(doc.body.className).to.equal("export-view");
+			
+			const wrapper = doc.body.firstElementChild;
+			expect(wrapper.className).to.equal("live-view export-view");
+			expect(wrapper.dataset.previewStyle).to.equal(view.getConfig("previewStyle"));
+			expect(wrapper.hasAttribute("style")).to.be.false;
+			expect(wrapper.querySelector(".live-view-output > p").outerHTML).to.equal("<p>Foo</p>");
+		});
+		
+		it("includes the theme's properties", () => {
+			const style = parse(view.exportHTML()).body.getAttribute("style");
+			const props = view.getThemeProperties();
+			for(const name in props)
+				expect(style).to.contain(`${name}: ${props[name]};`);
+		});
+		
+		it("embeds HTML inside SVG", () => {
+			const svg = parse(view.exportSVG(), "image/svg+xml").documentElement;
+			expect(svg.localName).to.equal("svg");
+			expect(svg.querySelector("style").textContent).to.contain(".export-view p { color: #f00; }");
+			const wrapper = svg.querySelector("foreignObject > div");
+			expect(wrapper.getAttribute("class")).to.equal("live-view export-view");
+			expect(wrapper.getAttribute("style")).to.contain("--live-view-foreground");
+			expect(wrapper.textContent).to.equal("Foo");
+		});
+		
+		it("exports SVG output unwrapped", async () => {
+			view.text = '<svg viewBox="0 0 10 10"><rect width="5" height="5"/></svg>';
+			await view.refresh(0);
+			const svg = parse(view.exportSVG(), "image/svg+xml").documentElement;
+			expect(svg.getAttribute("viewBox")).to.equal("0 0 10 10");
+			expect(svg.namespaceURI).to.equal("http://www.w3.org/2000/svg");
+			expect(svg.querySelector("foreignObject")).to.be.null;
+		});
+		
+		it("writes the format matching a file's extension", async () => {
+			const dir = mkdtempSync(join(tmpdir(), "live-view-"));
+			const path = join(dir, "preview.svg");
+			await view.exportTo(path);
+			expect(readFileSync(path, "utf8")).to.equal(view.exportSVG());
+			unlinkSync(path);
+			rmdirSync(dir);
+			
+			let error = null;
+			await view.exportTo(join(dir, "preview.pdf")).catch(e => error = e);
+			expect(error).to.be.an.instanceOf(TypeError);
+			expect(error.message).to.equal("Unsupported export format: pdf");
+		});
+		
+		it("suggests a filename based on the source's", () => {
+			expect(view.getSaveDialogOptions().defaultPath).to.equal("untitled.html");
+			view.filePath = join(tmpdir(), "foo.roff");
+			expect(view.getSaveDialogOptions().defaultPath).to.equal(join(tmpdir(), "foo.html"));
+		});
+	});
+	
+	when("the render mode changes", () => {
+		class ModalView extends AtomLiveView {
+			getSource(){ return Promise.resolve(this.text); }
+			render(){ ++this.renders; return this.text; }
+		}
+		let view = null;
+		beforeEach(async () => {
+			view = new ModalView();
+			view.text = "Foo";
+			view.renders = 0;
+			await view.refresh(0);
+		});
+		afterEach(() => {
+			view.destroy();
+			atom.config.unset("atom-live-view.renderMode");
+		});
+		
+		it("leaves current output alone", async () => {
+			atom.config.set("atom-live-view.renderMode", "manual");
+			await wait(50);
+			expect(view.isStale()).to.be.false;
+			atom.config.set("atom-live-view.renderMode", "live");
+			await wait(50);
+			expect(view.renders).to.equal(1);
+			expect(view.getObservedValues()).not.to.have.property("atom-live-view.renderMode");
+		});
+		
+		it("refreshes outdated output once rendering resumes", async () => {
+			atom.config.set("atom-live-view.renderMode", "manual");
+			view.text = "Bar";
+			view.handleSourceChange("edit");
+			expect(view.isStale()).to.be.true;
+			atom.config.set("atom-live-view.renderMode", "save");
+			await until(() => !view.isStale());
+			expect(view.output.textContent).to.equal("Bar");
+		});
+	});
+	
+	when("rendering in a worker", function(){
+		this.timeout(10000);
+		class WorkerView extends AtomLiveView {
+			getSource(){ return Promise.resolve(this.text); }
+			static get cacheSize(){ return 1; }
+			static get renderModule(){ return join(__dirname, "fixtures", "render-module.js"); }
+		}
+		let view = null;
+		beforeEach(() => view = new WorkerView());
+		afterEach(() => view.destroy());
+		
+		it("displays fragments as they arrive", async () => {
+			view.text = "partial";
+			view.refresh(0);
+			await until(() => "PARTIAL\n" === view.output.textContent);
+		});
+		
+		it("redisplays cached output which streamed fragments replaced", async () => {
+			view.text = "foo";
+			await view.refresh(0);
+			expect(view.output.textContent).to.equal("FOO\n!");
+			view.text = "partial";
+			view.refresh(0);
+			await until(() => "PARTIAL\n" === view.output.textContent);
+			view.text = "foo";
+			await view.refresh(0);
+			expect(view.output.textContent).to.equal("FOO\n!");
+			expect(view.isStale()).to.be.false;
+		});
+	});
+	
+	when("sandboxed", () => {
+		class SandboxedView extends AtomLiveView {
+			static get sandboxed(){ return true; }
+		}
+		const payload = '<p>Foo</p><img src="data:," onerror="top.liveViewSpecRan = true">';
+		const attach = view => new Promise(resolve => {
+			view.sandbox.element.addEventListener("load", () => resolve(view.sandbox.document), {once: true});
+			document.body.appendChild(view.element);
+		});
+		let view = null;
+		
+		beforeEach(() => {
+			window.liveViewSpecRan = false;
+			view = new SandboxedView();
+		});
+		afterEach(() => {
+			view.element.remove();
+			view.destroy();
+			delete window.liveViewSpecRan;
+		});
+		
+		it("holds back output until its frame has loaded", async () => {
+			view.displayOutput(payload);
+			await wait(100);
+			expect(view.output.ownerDocument).to.equal(document);
+			expect(view.output.childNodes).to.be.empty;
+			expect(window.liveViewSpecRan).to.be.false;
+			
+			const doc = await attach(view);
+			expect(view.output.ownerDocument).to.equal(doc);
+			expect(view.output.querySelector("img")).to.exist;
+			expect(view.output.textContent).to.equal("Foo");
+			await wait(100);
+			expect(window.liveViewSpecRan).to.be.false;
+		});
+		
+		it("parses output inside its frame", async () => {
+			const doc = await attach(view);
+			view.displayOutput(payload);
+			expect(view.output.querySelector("img").ownerDocument).to.equal(doc);
+			await wait(100);
+			expect(window.liveViewSpecRan).to.be.false;
+		});
+		
+		it("styles output like unsandboxed views", async () => {
+			const doc = await attach(view);
+			expect(doc.body.classList.contains("live-view")).to.be.true;
+			expect(doc.defaultView.getComputedStyle(view.output).overflow).to.equal("auto");
+		});
+		
+		it("creates output in its frame's document", async () => {
+			const inert = view.getOutputDocument();
+			expect(inert).not.to.equal(document);
+			inert.createElement("div").innerHTML = payload;
+			await wait(100);
+			expect(window.liveViewSpecRan).to.be.false;
+			
+			const doc = await attach(view);
+			expect(view.getOutputDocument()).to.equal(doc);
+			const unsandboxed = new AtomLiveView();
+			expect(unsandboxed.getOutputDocument()).to.equal(document);
+			unsandboxed.destroy();
+		});
+		
+		it("creates pages outside Atom's document", async () => {
+			const page = view.createPage(payload);
+			expect(page.ownerDocument).not.to.equal(document);
+			await wait(100);
+			expect(window.liveViewSpecRan).to.be.false;
+			
+			const doc = await attach(view);
+			expect(view.createPage(payload).ownerDocument).to.equal(doc);
+		});
+	});
+});
@@ -0,0 +1,44 @@
+"use strict";
+
+const createController = require("../lib/create-controller.js");
+
+
+describe("createController()", () => {
+	when("AbortController is supported", () =>
+		it("returns a native controller", () => {
+			expect(createController()).to.be.an.instanceOf(AbortController);
+		}));
+	
+	when("AbortController is unsupported", () => {
+		const {AbortController} = global;
+		beforeEach(() => delete global.AbortController);
+		afterEach(() => global.AbortController = AbortController);
+		
+		it("returns a substitute", () => {
+			const {signal} = createController();
+			expect(signal).to.not.be.an.instanceOf(AbortSignal);
+			expect(signal.aborted).to.be.false;
+		});
+		
+		it("notifies listeners when aborted", () => {
+			const controller = createController();
+			const calls = [];
+			controller.signal.onabort = () => calls.push("onabort");
+			controller.signal.addEventListener("abort", () => calls.push("listener"));
+			controller.abort();
+			controller.abort();
+			expect(controller.signal.aborted).to.be.true;
+			expect(calls).to.eql(["onabort", "listener"]);
+		});
+		
+		it("removes listeners", () => {
+			const controller = createController();
+			let called = false;
+			const listener = () => called = true;
+			controller.signal.addEventListener("abort", listener);
+			controller.signal.removeEventListener("abort", listener);
+			controller.abort();
+			expect(called).to.be.false;
+		});
+	});
+});
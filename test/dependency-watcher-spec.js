@@ -0,0 +1,100 @@
+"use strict";
+
+const DependencyWatcher = require("../lib/dependency-watcher.js");
+const {mkdtempSync, readdirSync, renameSync, rmdirSync, unlinkSync, writeFileSync} = require("fs");
+const {tmpdir} = require("os");
+const {join} = require("path");
+
+
+describe("DependencyWatcher", function(){
+	this.timeout(10000);
+	let dir = "";
+	let watcher = null;
+	let events = [];
+	const waitForEvent = () => new Promise(resolve => {
+		const {length} = events;
+		const check = () => events.length > length ? resolve(events[events.length - 1]) : setTimeout(check, 50);
+		check();
+	});
+	
+	beforeEach(() => {
+		dir = mkdtempSync(join(tmpdir(), "live-view-"));
+		writeFileSync(join(dir, "foo.txt"), "Foo");
+		writeFileSync(join(dir, "bar.txt"), "Bar");
+		events = [];
+		watcher = new DependencyWatcher((path, type) => events.push([path, type]));
+	});
+	afterEach(() => {
+		watcher.dispose();
+		for(const name of readdirSync(dir))
+			unlinkSync(join(dir, name));
+		rmdirSync(dir);
+	});
+	
+	when("initialised", () =>
+		it("requires a callback function", () => {
+			expect(() => new DependencyWatcher()).to.throw(TypeError, "Callback argument is not a function");
+		}));
+	
+	when("the list of files is updated", () =>
+		it("stops watching files which were omitted", () => {
+			const foo = join(dir, "foo.txt");
+			const bar = join(dir, "bar.txt");
+			watcher.set([foo, bar]);
+			expect([...watcher.paths]).to.eql([foo, bar]);
+			watcher.set([bar]);
+			expect([...watcher.paths]).to.eql([bar]);
+			expect(watcher.disposables.has(foo)).to.be.false;
+			expect(watcher.disposables.has(bar)).to.be.true;
+		}));
+	
+	when("a file is modified", () =>
+		it("reports the change", async () => {
+			const path = join(dir, "foo.txt");
+			watcher.set([path]);
+			writeFileSync(path, "Foo 2");
+			expect(await waitForEvent()).to.eql([path, "change"]);
+		}));
+	
+	when("a file is deleted", () =>
+		it("reports the deletion", async () => {
+			const path = join(dir, "foo.txt");
+			watcher.set([path]);
+			unlinkSync(path);
+			expect(await waitForEvent()).to.eql([path, "delete"]);
+		}));
+	
+	when("a file is renamed", () =>
+		it("reports the rename", async () => {
+			const path = join(dir, "foo.txt");
+			watcher.set([path]);
+			renameSync(path, join(dir, "baz.txt"));
+			expect(await waitForEvent()).to.have.property(0, path);
+		}));
+	
+	when("a missing file is created", () =>
+		it("reports its creation", async () => {
+			const path = join(dir, "qux.txt");
+			watcher.set([path]);
+			writeFileSync(path, "Qux");
+			expect(await waitForEvent()).to.eql([path, "create"]);
+		}));
+	
+	when("a file is open in an editor", () => {
+		let editor = null;
+		beforeEach(async () => editor = await atom.workspace.open(join(dir, "foo.txt")));
+		afterEach(() => editor.destroy());
+		
+		it("reports unsaved changes", async () => {
+			watcher.set([editor.getPath()]);
+			editor.insertText("Changed ");
+			expect(await waitForEvent()).to.eql([editor.getPath(), "edit"]);
+		});
+		
+		it("reads the editor's contents", async () => {
+			editor.setText("Unsaved");
+			expect(await watcher.read(editor.getPath())).to.equal("Unsaved");
+			expect(await watcher.read(join(dir, "bar.txt"))).to.equal("Bar");
+		});
+	});
+});
@@ -0,0 +1,96 @@
+"use strict";
+
+const ErrorOverlay = require("../lib/error-overlay.js");
+
+
+describe("ErrorOverlay", () => {
+	let overlay = null;
+	let retries = 0;
+	const $ = selector => overlay.element.querySelector(selector);
+	
+	beforeEach(() => {
+		retries = 0;
+		overlay = new ErrorOverlay(() => ++retries);
+		document.body.appendChild(overlay.element);
+	});
+	afterEach(() => overlay.element.remove());
+	
+	when("created", () => {
+		it("is hidden", () => {
+			expect(overlay.visible).to.be.false;
+			expect(overlay.error).to.be.null;
+		});
+		
+		it("omits the retry button if it has no callback", () => {
+			expect($(".retry")).to.exist;
+			expect(new ErrorOverlay().element.querySelector(".retry")).to.be.null;
+		});
+	});
+	
+	when("showing an error", () => {
+		it("displays its message and stack trace", () => {
+			const error = new TypeError("Bad input");
+			overlay.show(error);
+			expect(overlay.visible).to.be.true;
+			expect(overlay.error).to.equal(error);
+			expect($(".message").textContent).to.equal("Bad input");
+			expect($(".stack").textContent).to.equal(error.stack);
+			expect($("details").hidden).to.be.false;
+		});
+		
+		it("accepts strings", () => {
+			overlay.show("Something broke");
+			expect($(".message").textContent).to.equal("Something broke");
+			expect($("details").hidden).to.be.true;
+		});
+		
+		it("marks the panel as an error", () => {
+			overlay.warn("Foo");
+			overlay.show(new Error("Bar"));
+			expect(overlay.element.classList.contains("warning")).to.be.false;
+			expect($(".icon-alert").classList.contains("text-error")).to.be.true;
+			expect($(".btn-toolbar").hidden).to.be.false;
+		});
+	});
+	
+	when("showing a warning", () => {
+		it("displays its message without a stack trace", () => {
+			overlay.warn("  stand-in: Warning: unknown macro\n");
+			expect(overlay.visible).to.be.true;
+			expect(overlay.error).to.be.null;
+			expect($(".message").textContent).to.equal("stand-in: Warning: unknown macro");
+			expect($("details").hidden).to.be.true;
+		});
+		
+		it("marks the panel as a warning", () => {
+			overlay.warn("Foo");
+			expect(overlay.element.classList.contains("warning")).to.be.true;
+			expect($(".icon-alert").classList.contains("text-warning")).to.be.true;
+			expect($(".btn-toolbar").hidden).to.be.true;
+		});
+	});
+	
+	when("hidden", () => {
+		it("forgets the error it displayed", () => {
+			overlay.show(new Error("Foo"));
+			overlay.hide();
+			expect(overlay.visible).to.be.false;
+			expect(overlay.error).to.be.null;
+		});
+		
+		it("can be dismissed by the user", () => {
+			overlay.show(new Error("Foo"));
+			$(".dismiss").click();
+			expect(overlay.visible).to.be.false;
+			expect(retries).to.equal(0);
+		});
+	});
+	
+	when("the retry button is clicked", () =>
+		it("hides itself and calls its callback", () => {
+			overlay.show(new Error("Foo"));
+			$(".retry").click();
+			expect(overlay.visible).to.be.false;
+			expect(retries).to.equal(1);
+		}));
+});
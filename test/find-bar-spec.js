@@ -0,0 +1,143 @@
+"use strict";
+
+const FindBar = require("../lib/find-bar.js");
+
+
+describe("FindBar", () => {
+	let root = null;
+	let bar = null;
+	const marks = () => [...root.querySelectorAll(`mark.${FindBar.matchClass}`)];
+	const find = (query, options = {}) => {
+		Object.assign(bar, options);
+		bar.show(query);
+		return bar.matches;
+	};
+	
+	beforeEach(() => {
+		root = document.createElement("div");
+		root.innerHTML = "<p>Foo bar <b>foo</b>bar</p><p>FOOD <i>fo</i>o</p><style>.foo{}</style>";
+		bar = new FindBar(root);
+		document.body.append(bar.element, root);
+	});
+	afterEach(() => {
+		bar.element.remove();
+		root.remove();
+	});
+	
+	when("created", () =>
+		it("is hidden", () => {
+			expect(bar.visible).to.be.false;
+			expect(bar.element.hidden).to.be.true;
+		}));
+	
+	when("searching", () => {
+		it("highlights every match", () => {
+			expect(find("foo")).to.have.lengthOf(4);
+			expect(marks().map(mark => mark.textContent)).to.eql(["Foo", "foo", "FOO", "fo", "o"]);
+		});
+		
+		it("matches text spanning several elements", () => {
+			const [, , , last] = find("foo");
+			expect(last).to.have.lengthOf(2);
+			expect(last[0].parentNode.nodeName).to.equal("I");
+			expect(last[1].parentNode.nodeName).to.equal("P");
+		});
+		
+		it("ignores the contents of stylesheets", () => {
+			find(".foo");
+			expect(bar.matches).to.be.empty;
+			expect(bar.counter.textContent).to.equal("No results");
+		});
+		
+		it("selects the first match", () => {
+			find("bar");
+			expect(bar.index).to.equal(0);
+			expect(bar.matches[0][0].classList.contains("current")).to.be.true;
+			expect(bar.counter.textContent).to.equal("1 of 2");
+		});
+		
+		it("replaces earlier highlights", () => {
+			find("foo");
+			find("bar");
+			expect(marks().map(mark => mark.textContent)).to.eql(["bar", "bar"]);
+		});
+	});
+	
+	when("search options are toggled", () => {
+		it("matches case", () => {
+			expect(find("foo", {caseSensitive: true})).to.have.lengthOf(2);
+			expect(find("FOO", {caseSensitive: true})).to.have.lengthOf(1);
+		});
+		
+		it("matches whole words", () => {
+			expect(find("foo", {wholeWord: true})).to.have.lengthOf(2);
+		});
+		
+		it("uses regular expressions", () => {
+			expect(find("f.o", {useRegex: true})).to.have.lengthOf(4);
+			expect(find("f.o", {useRegex: false})).to.have.lengthOf(0);
+		});
+		
+		it("reports invalid expressions", () => {
+			expect(find("fo(", {useRegex: true})).to.have.lengthOf(0);
+			expect(bar.input.classList.contains("invalid")).to.be.true;
+		});
+		
+		it("updates its buttons", () => {
+			bar.show("foo");
+			bar.toggle("caseSensitive");
+			expect(bar.caseSensitive).to.be.true;
+			expect(bar.element.querySelector("[data-option=caseSensitive]").classList.contains("selected")).to.be.true;
+			expect(bar.matches).to.have.lengthOf(2);
+		});
+	});
+	
+	when("navigating between matches", () => {
+		it("selects the next match, wrapping around", () => {
+			find("bar");
+			bar.next();
+			expect(bar.index).to.equal(1);
+			expect(bar.counter.textContent).to.equal("2 of 2");
+			bar.next();
+			expect(bar.index).to.equal(0);
+		});
+		
+		it("selects the previous match, wrapping around", () => {
+			find("bar");
+			bar.previous();
+			expect(bar.index).to.equal(1);
+			expect(bar.matches[0][0].classList.contains("current")).to.be.false;
+			expect(bar.matches[1][0].classList.contains("current")).to.be.true;
+		});
+	});
+	
+	when("highlights are cleared", () =>
+		it("restores the original text nodes", () => {
+			const html = root.innerHTML;
+			find("foo");
+			bar.clearHighlights();
+			expect(marks()).to.be.empty;
+			expect(root.innerHTML).to.equal(html);
+			expect(root.firstChild.childNodes).to.have.lengthOf(3);
+		}));
+	
+	when("the output changes", () =>
+		it("keeps the same match selected", () => {
+			find("bar");
+			bar.next();
+			bar.clearHighlights();
+			root.insertAdjacentHTML("beforeend", "<p>bar</p>");
+			bar.search(true);
+			expect(bar.matches).to.have.lengthOf(3);
+			expect(bar.index).to.equal(1);
+		}));
+	
+	when("hidden", () =>
+		it("removes its highlights", () => {
+			find("foo");
+			bar.hide();
+			expect(bar.visible).to.be.false;
+			expect(marks()).to.be.empty;
+			expect(bar.matches).to.be.empty;
+		}));
+});
@@ -0,0 +1,32 @@
+"use strict";
+
+const wait = ms => new Promise(resolve => setTimeout(() => resolve(), ms));
+
+module.exports = async (source, {signal, emit, options}) => {
+	switch(source){
+		case "crash":
+			process.stderr.write("Something went horribly wrong\n");
+			process.exit(3);
+			break;
+		case "error":
+			throw new TypeError("Bad input");
+		case "hang":
+			return new Promise(() => {});
+		case "options":
+			return JSON.stringify(options);
+		case "partial":
+			emit("PARTIAL\n");
+			while(!signal.aborted)
+				await wait(10);
+			return null;
+		case "slow":
+			for(let i = 0; i < 20; ++i){
+				if(signal.aborted) return null;
+				await wait(10);
+			}
+			return "Finished";
+	}
+	for(const line of source.split("\n"))
+		emit(line.toUpperCase() + "\n");
+	return "!";
+};
@@ -0,0 +1,33 @@
+"use strict";
+
+// Stand-in for external render programs, used by run-command-spec.js
+const [mode = "upper", ...args] = process.argv.slice(2);
+let input = "";
+process.stdin.setEncoding("utf8");
+process.stdin.on("data", data => input += data);
+process.stdin.on("end", () => {
+	switch(mode){
+		case "args":
+			process.stdout.write(JSON.stringify(args));
+			break;
+		case "cwd":
+			process.stdout.write(process.cwd());
+			break;
+		case "env":
+			process.stdout.write(process.env[args[0]] || "");
+			break;
+		case "fail":
+			process.stderr.write("stand-in: Syntax error on line 2\n");
+			process.exit(2);
+			break;
+		case "sleep":
+			setTimeout(() => process.stdout.write("Finished"), 5000);
+			break;
+		case "warn":
+			process.stderr.write("stand-in: Warning: unknown macro\n");
+			process.stdout.write(input.toUpperCase());
+			break;
+		default:
+			process.stdout.write(input.toUpperCase());
+	}
+});
@@ -48,6 +48,13 @@ describe("ObservedKeyList", () => {
 			expect(kl.has("editor.fontSize")).to.be.true;
 			expect(kl.has("editor.fontFamily")).to.be.true;
 		});
+		
+		it("iterates over its keys like an ordinary set", () => {
+			const kl = new ObservedKeyList(null, "editor.fontSize", "editor.fontFamily");
+			expect(kl.values).to.equal(Set.prototype.values);
+			expect([...kl.values()]).to.eql(["editor.fontSize", "editor.fontFamily"]);
+			expect([...kl.values()]).to.eql([...kl]);
+		});
 	});
 	
 	when("a key is added", () => {
@@ -153,19 +160,30 @@ describe("ObservedKeyList", () => {
 			expect(calls).to.equal(2);
 		});
 		
-		it("fires its callback without any arguments", async () => {
-			let calls = 0;
-			let count = -1;
-			const kl = new ObservedKeyList((...args) => { ++calls; count = args.length; });
-			kl.add("editor.fontSize");
+		it("passes a map of each key's old and new values", async () => {
+			let changes = null;
+			const kl = new ObservedKeyList(arg => changes = arg);
+			kl.add("editor.fontSize", "editor.fontFamily");
 			await wait(10);
-			expect(calls).to.equal(1);
-			expect(count).to.equal(0);
+			expect(changes).to.be.an.instanceOf(Map);
+			expect(changes.size).to.equal(2);
+			expect(changes.get("editor.fontSize")).to.eql({oldValue: undefined, newValue: defaultSize});
 			
 			atom.config.set("editor.fontSize", defaultSize * 2);
 			await wait(10);
-			expect(calls).to.equal(2);
-			expect(count).to.equal(0);
+			expect(changes.size).to.equal(1);
+			expect(changes.get("editor.fontSize")).to.eql({oldValue: defaultSize, newValue: defaultSize * 2});
+		});
+		
+		it("reports the earliest old value if a key changes repeatedly", async () => {
+			let changes = null;
+			const kl = new ObservedKeyList(arg => changes = arg);
+			kl.add("editor.fontSize");
+			await wait(10);
+			atom.config.set("editor.fontSize", defaultSize * 2);
+			atom.config.set("editor.fontSize", defaultSize * 3);
+			await wait(10);
+			expect(changes.get("editor.fontSize")).to.eql({oldValue: defaultSize, newValue: defaultSize * 3});
 		});
 		
 		it("fires its callback in its own context", async () => {
@@ -227,6 +245,243 @@ describe("ObservedKeyList", () => {
 			}));
 	});
 
+	when("a scope is set", () => {
+		const scope = [".text.roff"];
+		beforeEach("Resetting config values", () => {
+			atom.config.set("editor.fontSize", defaultSize);
+			atom.config.unset("editor.fontSize", {scopeSelector: ".text.roff"});
+		});
+		
+		it("resolves keys against the scope", () => {
+			atom.config.set("editor.fontSize", defaultSize * 2, {scopeSelector: ".text.roff"});
+			const kl = new ObservedKeyList(null, "editor.fontSize");
+			kl.setScope(scope);
+			expect(kl.scope).to.equal(scope);
+			expect(kl.lastValues.get("editor.fontSize")).to.equal(defaultSize * 2);
+			kl.setScope(null);
+			expect(kl.lastValues.get("editor.fontSize")).to.equal(defaultSize);
+		});
+		
+		it("only reports keys whose values were affected", async () => {
+			let calls = 0, changes = null;
+			atom.config.set("editor.fontSize", defaultSize * 2, {scopeSelector: ".text.roff"});
+			const kl = new ObservedKeyList(arg => { ++calls; changes = arg; });
+			kl.add("editor.fontSize", "editor.fontFamily");
+			await wait(10);
+			expect(calls).to.equal(1);
+			
+			kl.setScope(scope);
+			await wait(10);
+			expect(calls).to.equal(2);
+			expect(Array.from(changes.keys())).to.eql(["editor.fontSize"]);
+			expect(changes.get("editor.fontSize")).to.eql({oldValue: defaultSize, newValue: defaultSize * 2});
+		});
+		
+		it("doesn't fire its callback if nothing changed", async () => {
+			let calls = 0;
+			const kl = new ObservedKeyList(() => ++calls, "editor.fontFamily");
+			await wait(10);
+			expect(calls).to.equal(1);
+			kl.setScope(scope);
+			await wait(10);
+			expect(calls).to.equal(1);
+		});
+		
+		it("observes scoped changes", async () => {
+			let changes = null;
+			const kl = new ObservedKeyList(arg => changes = arg, "editor.fontSize");
+			kl.setScope(scope);
+			await wait(10);
+			atom.config.set("editor.fontSize", defaultSize * 3, {scopeSelector: ".text.roff"});
+			await wait(10);
+			expect(changes.get("editor.fontSize")).to.eql({oldValue: defaultSize, newValue: defaultSize * 3});
+		});
+	});
+	
+	when("a wildcard pattern is added", () => {
+		const schema = {
+			type: "object",
+			properties: {
+				foo: {type: "string",  default: "Foo"},
+				bar: {type: "integer", default: 2},
+				nested: {
+					type: "object",
+					properties: {baz: {type: "boolean", default: true}},
+				},
+			},
+		};
+		beforeEach("Registering schema", () => atom.config.setSchema("live-view-spec", schema));
+		
+		it("observes every key that matches it", async () => {
+			let changes = null;
+			const kl = new ObservedKeyList(arg => changes = arg, "live-view-spec.*");
+			expect(kl.size).to.equal(1);
+			expect(kl.has("live-view-spec.*")).to.be.true;
+			expect(kl.getObservedKeys()).to.eql(new Set([
+				"live-view-spec.foo",
+				"live-view-spec.bar",
+				"live-view-spec.nested.baz",
+			]));
+			await wait(10);
+			expect(changes.size).to.equal(3);
+			
+			atom.config.set("live-view-spec.bar", 5);
+			await wait(10);
+			expect(changes.get("live-view-spec.bar")).to.eql({oldValue: 2, newValue: 5});
+		});
+		
+		it("matches partial names", () => {
+			const kl = new ObservedKeyList(null, "editor.font*");
+			const keys = kl.getObservedKeys();
+			expect(keys.has("editor.fontSize")).to.be.true;
+			expect(keys.has("editor.fontFamily")).to.be.true;
+			expect(keys.has("editor.tabLength")).to.be.false;
+		});
+		
+		it("picks up keys which are added later", async () => {
+			const kl = new ObservedKeyList(null, "live-view-spec.*");
+			expect(kl.getObservedKeys().has("live-view-spec.qux")).to.be.false;
+			atom.config.setSchema("live-view-spec.qux", {type: "string", default: "Qux"});
+			await wait(10);
+			expect(kl.getObservedKeys().has("live-view-spec.qux")).to.be.true;
+			expect(kl.lastValues.get("live-view-spec.qux")).to.equal("Qux");
+		});
+		
+		it("only looks for new keys when its part of the schema changes", async () => {
+			const kl = new ObservedKeyList(null, "live-view-spec.*");
+			let expansions = 0;
+			kl.expandPattern = function(...args){
+				++expansions;
+				return ObservedKeyList.prototype.expandPattern.apply(this, args);
+			};
+			atom.config.set("editor.fontSize", 20);
+			atom.config.unset("editor.fontSize");
+			await wait(10);
+			expect(expansions).to.equal(0);
+			atom.config.setSchema("live-view-spec.quux", {type: "string", default: "Quux"});
+			await wait(10);
+			expect(expansions).to.equal(1);
+			expect(kl.getObservedKeys().has("live-view-spec.quux")).to.be.true;
+		});
+		
+		it("stops observing matches when the pattern is removed", async () => {
+			let calls = 0;
+			const kl = new ObservedKeyList(() => ++calls, "live-view-spec.*");
+			await wait(10);
+			kl.delete("live-view-spec.*");
+			expect(kl.size).to.equal(0);
+			expect(kl.getObservedKeys().size).to.equal(0);
+			atom.config.set("live-view-spec.foo", "Bar");
+			await wait(10);
+			expect(calls).to.equal(1);
+		});
+		
+		it("keeps observing matches which were also added explicitly", async () => {
+			let calls = 0;
+			const kl = new ObservedKeyList(() => ++calls, "live-view-spec.*", "live-view-spec.foo");
+			await wait(10);
+			kl.delete("live-view-spec.*");
+			expect(kl.getObservedKeys()).to.eql(new Set(["live-view-spec.foo"]));
+			atom.config.set("live-view-spec.foo", "Baz");
+			await wait(10);
+			expect(calls).to.equal(2);
+		});
+		
+		it("stops observing everything when cleared", () => {
+			const kl = new ObservedKeyList(null, "live-view-spec.*");
+			kl.clear();
+			expect(kl.patterns.size).to.equal(0);
+			expect(kl.getObservedKeys().size).to.equal(0);
+		});
+	});
+	
+	when("batching changes over time", () => {
+		beforeEach("Resetting config values", () => {
+			atom.config.set("editor.fontSize", defaultSize);
+			atom.config.set("editor.fontFamily", defaultFamily);
+		});
+		
+		it("waits for changes to stop when debouncing", async () => {
+			let calls = 0;
+			const kl = new ObservedKeyList(() => ++calls, "editor.fontSize");
+			await wait(10);
+			kl.debounce = 30;
+			atom.config.set("editor.fontSize", defaultSize + 1);
+			await wait(20);
+			atom.config.set("editor.fontSize", defaultSize + 2);
+			await wait(20);
+			expect(calls).to.equal(1);
+			await wait(20);
+			expect(calls).to.equal(2);
+		});
+		
+		it("fires its callback once the maximum wait has elapsed", async () => {
+			let calls = 0;
+			const kl = new ObservedKeyList(() => ++calls, "editor.fontSize");
+			await wait(10);
+			kl.debounce = 30;
+			kl.maxWait  = 50;
+			for(let i = 1; i <= 4; ++i){
+				atom.config.set("editor.fontSize", defaultSize + i);
+				await wait(20);
+			}
+			expect(calls).to.equal(2);
+		});
+		
+		it("limits how often its callback is fired when throttling", async () => {
+			let calls = 0;
+			const kl = new ObservedKeyList(() => ++calls, "editor.fontSize");
+			await wait(10);
+			kl.throttle = 50;
+			atom.config.set("editor.fontSize", defaultSize + 1);
+			await wait(10);
+			expect(calls).to.equal(1);
+			atom.config.set("editor.fontSize", defaultSize + 2);
+			await wait(10);
+			expect(calls).to.equal(1);
+			await wait(50);
+			expect(calls).to.equal(2);
+		});
+		
+		when("paused", () => {
+			it("doesn't fire its callback", async () => {
+				let calls = 0;
+				const kl = new ObservedKeyList(() => ++calls, "editor.fontSize");
+				await wait(10);
+				kl.pause();
+				expect(kl.paused).to.be.true;
+				atom.config.set("editor.fontSize", defaultSize * 2);
+				atom.config.set("editor.fontFamily", "Foo");
+				await wait(10);
+				expect(calls).to.equal(1);
+			});
+			
+			it("fires its callback once when resumed", async () => {
+				let calls = 0, changes = null;
+				const kl = new ObservedKeyList(arg => { ++calls; changes = arg; }, "editor.fontSize editor.fontFamily");
+				await wait(10);
+				kl.pause();
+				atom.config.set("editor.fontSize", defaultSize * 2);
+				await wait(10);
+				atom.config.set("editor.fontFamily", "Foo");
+				kl.resume();
+				expect(kl.paused).to.be.false;
+				await wait(10);
+				expect(calls).to.equal(2);
+				expect(changes.size).to.equal(2);
+			});
+			
+			it("doesn't fire its callback on resumption if nothing changed", async () => {
+				let calls = 0;
+				const kl = new ObservedKeyList(() => ++calls, "editor.fontSize");
+				await wait(10);
+				kl.pause().resume();
+				await wait(10);
+				expect(calls).to.equal(1);
+			});
+		});
+	});
+	
 	when("a key is removed", () => {
 		it("stops observing it for changes", async () => {
 			let calls = 0;
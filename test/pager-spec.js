@@ -0,0 +1,188 @@
+"use strict";
+
+const Pager = require("../lib/pager.js");
+
+
+describe("Pager", () => {
+	let root = null;
+	let pager = null;
+	let changes = [];
+	const current = () => root.querySelector(`.${Pager.currentClass}`);
+	
+	beforeEach(() => {
+		changes = [];
+		root = document.createElement("div");
+		root.innerHTML = "<h1>Title</h1>"
+			+ '<div data-page="1">One</div>'
+			+ '<div data-page="2">Two</div>'
+			+ '<div data-page="3" data-lazy="3"></div>';
+		pager = new Pager(root, {onChange: info => changes.push(info)});
+		document.body.append(pager.element, root);
+	});
+	afterEach(() => {
+		pager.dispose();
+		pager.element.remove();
+		root.remove();
+	});
+	
+	when("created", () => {
+		it("is hidden", () => {
+			expect(pager.current).to.equal(0);
+			expect(pager.element.hidden).to.be.true;
+		});
+		
+		it("uses a continuous layout", () => {
+			expect(pager.layout).to.equal("continuous");
+			expect(root.dataset.pageLayout).to.equal("continuous");
+		});
+	});
+	
+	when("output is updated", () => {
+		it("counts each page", () => {
+			pager.update();
+			expect(pager.count).to.equal(3);
+			expect(pager.pages.map(page => page.dataset.page)).to.eql(["1", "2", "3"]);
+		});
+		
+		it("selects the first page", () => {
+			pager.update();
+			expect(pager.current).to.equal(1);
+			expect(current().textContent).to.equal("One");
+			expect(pager.element.hidden).to.be.false;
+			expect(pager.number.textContent).to.equal("1 / 3");
+			expect(changes).to.eql([{page: 1, count: 3}]);
+		});
+		
+		it("keeps the same page selected", () => {
+			pager.update();
+			pager.goTo(2);
+			root.innerHTML = '<p data-page="1">A</p><p data-page="2">B</p>';
+			pager.update();
+			expect(pager.current).to.equal(2);
+			expect(current().textContent).to.equal("B");
+		});
+		
+		it("resets when pages are removed", () => {
+			pager.update();
+			root.innerHTML = "<p>No pages</p>";
+			pager.update();
+			expect(pager.current).to.equal(0);
+			expect(pager.element.hidden).to.be.true;
+			expect(changes.pop()).to.eql({page: 0, count: 0});
+		});
+	});
+	
+	when("navigating between pages", () => {
+		beforeEach(() => pager.update());
+		
+		it("advances to the next page", () => {
+			expect(pager.next()).to.equal(2);
+			expect(pager.next()).to.equal(3);
+			expect(pager.next()).to.equal(3);
+			expect(pager.number.textContent).to.equal("3 / 3");
+		});
+		
+		it("returns to the previous page", () => {
+			pager.last();
+			expect(pager.previous()).to.equal(2);
+			expect(current().textContent).to.equal("Two");
+		});
+		
+		it("jumps to the first and last pages", () => {
+			expect(pager.last()).to.equal(3);
+			expect(pager.first()).to.equal(1);
+		});
+		
+		it("clamps page numbers", () => {
+			expect(pager.goTo(-5)).to.equal(1);
+			expect(pager.goTo(99)).to.equal(3);
+			expect(pager.goTo("2")).to.equal(2);
+		});
+		
+		it("only reports changes", () => {
+			pager.goTo(1);
+			pager.goTo(2);
+			pager.goTo(2);
+			expect(changes).to.eql([{page: 1, count: 3}, {page: 2, count: 3}]);
+		});
+		
+		it("accepts a page number from its prompt", () => {
+			pager.prompt();
+			expect(pager.input.hidden).to.be.false;
+			expect(pager.number.hidden).to.be.true;
+			pager.input.value = "3";
+			pager.input.dispatchEvent(new KeyboardEvent("keydown", {key: "Enter"}));
+			expect(pager.current).to.equal(3);
+			expect(pager.input.hidden).to.be.true;
+		});
+	});
+	
+	when("using a single-page layout", () => {
+		beforeEach(() => pager.update());
+		
+		it("marks the output", () => {
+			expect(pager.toggleLayout()).to.equal("single");
+			expect(root.dataset.pageLayout).to.equal("single");
+			expect(pager.toggleLayout()).to.equal("continuous");
+		});
+		
+		it("ignores unknown layouts", () => {
+			pager.setLayout("spiral");
+			expect(pager.layout).to.equal("continuous");
+		});
+		
+		it("reveals the page containing an element", () => {
+			pager.setLayout("single");
+			const text = root.querySelector('[data-page="2"]').firstChild;
+			expect(pager.reveal(text)).to.be.true;
+			expect(pager.current).to.equal(2);
+			expect(pager.reveal(root.firstChild)).to.be.false;
+		});
+	});
+	
+	when("loading lazy pages", () => {
+		const lazy = () => root.querySelector("[data-lazy]");
+		
+		it("displays the content they generate", async () => {
+			pager.update(new Map([["3", async page => `Page ${page.dataset.page}`]]));
+			await pager.load(lazy());
+			expect(lazy().textContent).to.equal("Page 3");
+			expect(lazy().hasAttribute("data-loaded")).to.be.true;
+		});
+		
+		it("only loads them once", async () => {
+			let calls = 0;
+			pager.update(new Map([["3", () => ++calls]]));
+			await pager.load(lazy());
+			await pager.load(lazy());
+			expect(calls).to.equal(1);
+		});
+		
+		it("discards content for pages which were reset", async () => {
+			let resolve = null;
+			pager.update(new Map([["3", () => new Promise(done => resolve = done)]]));
+			const loading = pager.load(lazy());
+			lazy().removeAttribute("data-loaded");
+			resolve("Outdated");
+			await loading;
+			expect(lazy().textContent).to.equal("");
+		});
+		
+		it("reports errors", async () => {
+			const errors = [];
+			pager.onError = error => errors.push(error);
+			pager.update(new Map([["3", () => { throw new Error("Broken page"); }]]));
+			await pager.load(lazy());
+			expect(errors).to.have.lengthOf(1);
+			expect(errors[0].message).to.equal("Broken page");
+		});
+		
+		it("rethrows errors if nothing handles them", async () => {
+			let error = null;
+			pager.update(new Map([["3", () => { throw new Error("Broken page"); }]]));
+			await pager.load(lazy()).catch(thrown => error = thrown);
+			expect(error).to.be.an("error");
+			expect(error.message).to.equal("Broken page");
+		});
+	});
+});
@@ -0,0 +1,129 @@
+"use strict";
+
+const patchDOM = require("../lib/patch-dom.js");
+
+
+describe("patchDOM()", () => {
+	let target = null;
+	const parse = html => {
+		const template = document.createElement("template");
+		template.innerHTML = html;
+		return template.content;
+	};
+	const patch = html => patchDOM(target, parse(html));
+	
+	beforeEach(() => {
+		target = document.createElement("div");
+		target.innerHTML = "<h1>Title</h1><p id=\"intro\">Foo <b>bar</b></p><ul><li>1</li><li>2</li></ul>";
+		document.body.appendChild(target);
+	});
+	afterEach(() => target.remove());
+	
+	when("the output hasn't changed", () =>
+		it("leaves every node untouched", () => {
+			const nodes = [...target.querySelectorAll("*")];
+			patch(target.innerHTML);
+			expect([...target.querySelectorAll("*")]).to.eql(nodes);
+		}));
+	
+	when("text has changed", () => {
+		it("updates the text in place", () => {
+			const heading = target.firstChild;
+			const text = heading.firstChild;
+			patch("<h1>New title</h1><p id=\"intro\">Foo <b>bar</b></p><ul><li>1</li><li>2</li></ul>");
+			expect(target.firstChild).to.equal(heading);
+			expect(heading.firstChild).to.equal(text);
+			expect(text.nodeValue).to.equal("New title");
+		});
+		
+		it("keeps the text selection of unchanged nodes", () => {
+			const bold = target.querySelector("b");
+			const range = document.createRange();
+			range.selectNodeContents(bold);
+			const selection = window.getSelection();
+			selection.removeAllRanges();
+			selection.addRange(range);
+			patch("<h1>New title</h1><p id=\"intro\">Foo <b>bar</b></p><ul><li>1</li><li>2</li></ul>");
+			expect(selection.rangeCount).to.equal(1);
+			expect(selection.toString()).to.equal("bar");
+			expect(selection.getRangeAt(0).startContainer).to.equal(bold);
+			selection.removeAllRanges();
+		});
+	});
+	
+	when("nodes have been added or removed", () => {
+		it("inserts new nodes without replacing their siblings", () => {
+			const [first, second] = target.querySelectorAll("li");
+			patch("<h1>Title</h1><p id=\"intro\">Foo <b>bar</b></p><ul><li>1</li><li>1.5</li><li>2</li></ul>");
+			const items = target.querySelectorAll("li");
+			expect(items).to.have.lengthOf(3);
+			expect(items[0]).to.equal(first);
+			expect(items[1].textContent).to.equal("1.5");
+			expect(items[2]).to.equal(second);
+		});
+		
+		it("removes deleted nodes without replacing their siblings", () => {
+			const list = target.querySelector("ul");
+			patch("<h1>Title</h1><ul><li>1</li><li>2</li></ul>");
+			expect(target.children).to.have.lengthOf(2);
+			expect(target.children[1]).to.equal(list);
+		});
+		
+		it("appends and truncates trailing nodes", () => {
+			patch("<h1>Title</h1>");
+			expect(target.innerHTML).to.equal("<h1>Title</h1>");
+			patch("<h1>Title</h1><hr><p>Foo</p>");
+			expect(target.innerHTML).to.equal("<h1>Title</h1><hr><p>Foo</p>");
+		});
+	});
+	
+	when("nodes have changed type", () => {
+		it("replaces elements with different tag names", () => {
+			patch("<h2>Title</h2><p id=\"intro\">Foo <b>bar</b></p><ul><li>1</li><li>2</li></ul>");
+			expect(target.firstChild.nodeName).to.equal("H2");
+		});
+		
+		it("replaces elements with different IDs", () => {
+			const para = target.querySelector("p");
+			patch("<h1>Title</h1><p id=\"outro\">Foo <b>bar</b></p><ul><li>1</li><li>2</li></ul>");
+			expect(target.querySelector("p")).not.to.equal(para);
+			expect(target.querySelector("p").id).to.equal("outro");
+		});
+		
+		it("replaces text nodes with elements", () => {
+			target.innerHTML = "Foo";
+			patch("<b>Foo</b>");
+			expect(target.innerHTML).to.equal("<b>Foo</b>");
+		});
+	});
+	
+	when("attributes have changed", () => {
+		it("updates and removes them", () => {
+			target.innerHTML = "<p class=\"foo\" title=\"Foo\">Text</p>";
+			const para = target.firstChild;
+			patch("<p class=\"bar\" lang=\"en\">Text</p>");
+			expect(target.firstChild).to.equal(para);
+			expect(para.className).to.equal("bar");
+			expect(para.getAttribute("lang")).to.equal("en");
+			expect(para.hasAttribute("title")).to.be.false;
+		});
+		
+		it("doesn't collapse <details> elements the user expanded", () => {
+			target.innerHTML = "<details><summary>Foo</summary>Bar</details>";
+			target.firstChild.open = true;
+			patch("<details><summary>Foo</summary>Baz</details>");
+			expect(target.firstChild.open).to.be.true;
+			expect(target.firstChild.lastChild.nodeValue).to.equal("Baz");
+		});
+	});
+	
+	when("patching from an element", () =>
+		it("moves nodes out of the source", () => {
+			const source = document.createElement("div");
+			source.innerHTML = "<p>Foo</p>";
+			const para = source.firstChild;
+			patchDOM(target, source);
+			expect(target.firstChild).to.equal(para);
+			expect(source.childNodes).to.have.lengthOf(0);
+		}));
+});
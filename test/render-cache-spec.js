@@ -0,0 +1,113 @@
+"use strict";
+
+const RenderCache = require("../lib/render-cache.js");
+
+
+describe("RenderCache", () => {
+	when("initialised", () => {
+		it("is empty", () => {
+			const cache = new RenderCache();
+			expect(cache.size).to.equal(0);
+			expect(cache.getStats()).to.eql({hits: 0, misses: 0, size: 0, limit: 1});
+		});
+		
+		it("holds at least one entry", () => {
+			expect(new RenderCache(0).limit).to.equal(1);
+			expect(new RenderCache(-5).limit).to.equal(1);
+		});
+	});
+	
+	when("entries are looked up", () => {
+		it("returns cached values", () => {
+			const cache = new RenderCache();
+			cache.set("foo", "Foo");
+			expect(cache.get("foo")).to.equal("Foo");
+			expect(cache.get("bar")).to.be.undefined;
+		});
+		
+		it("counts hits and misses", () => {
+			const cache = new RenderCache();
+			cache.set("foo", "Foo");
+			cache.get("foo");
+			cache.get("foo");
+			cache.get("bar");
+			expect(cache.hits).to.equal(2);
+			expect(cache.misses).to.equal(1);
+		});
+		
+		it("doesn't count calls to `has`", () => {
+			const cache = new RenderCache();
+			cache.set("foo", "Foo");
+			expect(cache.has("foo")).to.be.true;
+			expect(cache.has("bar")).to.be.false;
+			expect(cache.hits).to.equal(0);
+			expect(cache.misses).to.equal(0);
+		});
+	});
+	
+	when("the cache is full", () => {
+		it("evicts the least recently used entry", () => {
+			const cache = new RenderCache(2);
+			cache.set("foo", "Foo");
+			cache.set("bar", "Bar");
+			cache.get("foo");
+			cache.set("baz", "Baz");
+			expect(cache.size).to.equal(2);
+			expect(cache.has("foo")).to.be.true;
+			expect(cache.has("bar")).to.be.false;
+			expect(cache.has("baz")).to.be.true;
+		});
+		
+		it("replaces the only entry if limited to one", () => {
+			const cache = new RenderCache();
+			cache.set("foo", "Foo");
+			cache.set("bar", "Bar");
+			expect(cache.size).to.equal(1);
+			expect(cache.get("bar")).to.equal("Bar");
+		});
+	});
+	
+	when("cleared", () => {
+		it("forgets every entry and resets its statistics", () => {
+			const cache = new RenderCache(3);
+			cache.set("foo", "Foo");
+			cache.get("foo");
+			cache.get("bar");
+			cache.clear();
+			expect(cache.getStats()).to.eql({hits: 0, misses: 0, size: 0, limit: 3});
+		});
+		
+		it("can keep its statistics", () => {
+			const cache = new RenderCache(3);
+			cache.set("foo", "Foo");
+			cache.get("foo");
+			cache.get("bar");
+			cache.clear(false);
+			expect(cache.getStats()).to.eql({hits: 1, misses: 1, size: 0, limit: 3});
+		});
+	});
+	
+	when("generating keys", () => {
+		it("produces the same key for the same input", () => {
+			const a = RenderCache.hash("Foo", {"foo.bar": 1, "foo.baz": [2]});
+			const b = RenderCache.hash("Foo", new Map([["foo.baz", [2]], ["foo.bar", 1]]));
+			expect(a).to.be.a("string").and.equal(b);
+		});
+		
+		it("produces different keys for different sources", () => {
+			expect(RenderCache.hash("Foo")).not.to.equal(RenderCache.hash("Bar"));
+		});
+		
+		it("produces different keys for different config values", () => {
+			const a = RenderCache.hash("Foo", {"foo.bar": 1});
+			const b = RenderCache.hash("Foo", {"foo.bar": 2});
+			expect(a).not.to.equal(b);
+		});
+		
+		it("produces different keys for different contexts", () => {
+			const a = RenderCache.hash("Foo", {}, "/foo/bar.txt");
+			const b = RenderCache.hash("Foo", {}, "/foo/baz.txt");
+			expect(a).not.to.equal(b);
+		});
+	});
+});
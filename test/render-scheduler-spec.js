@@ -0,0 +1,118 @@
+"use strict";
+
+const RenderScheduler = require("../lib/render-scheduler.js");
+const wait = ms => new Promise(resolve => setTimeout(() => resolve(), ms));
+
+
+describe("RenderScheduler", () => {
+	when("initialised", () => {
+		it("requires a callback function", () => {
+			const err = [TypeError, "Callback argument is not a function"];
+			expect(() => new RenderScheduler())    .to.throw(...err);
+			expect(() => new RenderScheduler(true)).to.throw(...err);
+		});
+		
+		it("isn't busy", () => {
+			expect(new RenderScheduler(() => {}).busy).to.be.false;
+		});
+	});
+	
+	when("a render is requested", () => {
+		it("passes an abort signal to its callback", async () => {
+			let signal = null;
+			await new RenderScheduler(arg => signal = arg).schedule();
+			expect(signal).to.be.an.instanceOf(AbortSignal);
+			expect(signal.aborted).to.be.false;
+		});
+		
+		it("resolves with the callback's return value", async () => {
+			const scheduler = new RenderScheduler(async () => "Foo");
+			expect(await scheduler.schedule()).to.equal("Foo");
+		});
+		
+		it("rejects if the callback throws an error", async () => {
+			const scheduler = new RenderScheduler(() => { throw new Error("Nope"); });
+			let error = null;
+			await scheduler.schedule().catch(e => error = e);
+			expect(error).to.be.an.instanceOf(Error).with.property("message", "Nope");
+			expect(scheduler.busy).to.be.false;
+		});
+	});
+	
+	when("several renders are requested at once", () =>
+		it("coalesces them into a single call", async () => {
+			let calls = 0;
+			const scheduler = new RenderScheduler(() => ++calls, 10);
+			const results = await Promise.all([
+				scheduler.schedule(),
+				scheduler.schedule(),
+				scheduler.schedule(),
+			]);
+			expect(calls).to.equal(1);
+			expect(results).to.eql([1, 1, 1]);
+		}));
+	
+	when("a render is requested with a delay", () =>
+		it("waits for further requests before rendering", async () => {
+			let calls = 0;
+			const scheduler = new RenderScheduler(() => ++calls);
+			const result = scheduler.schedule(30);
+			await wait(15);
+			expect(calls).to.equal(0);
+			scheduler.schedule(30);
+			await wait(20);
+			expect(calls).to.equal(0);
+			expect(await result).to.equal(1);
+		}));
+	
+	when("a render is requested while another is in progress", () => {
+		let signals, scheduler;
+		beforeEach(() => {
+			signals = [];
+			scheduler = new RenderScheduler(async signal => {
+				const index = signals.push(signal);
+				await wait(1 === index ? 50 : 10);
+				return index;
+			});
+		});
+		
+		it("aborts the earlier render", async () => {
+			scheduler.schedule();
+			await wait(10);
+			expect(scheduler.busy).to.be.true;
+			const result = scheduler.schedule();
+			expect(signals[0].aborted).to.be.true;
+			await result;
+			expect(signals[1].aborted).to.be.false;
+		});
+		
+		it("discards the superseded result", async () => {
+			const first = scheduler.schedule();
+			await wait(10);
+			const second = scheduler.schedule();
+			expect(await first).to.equal(2);
+			expect(await second).to.equal(2);
+		});
+	});
+	
+	when("cancelled", () =>
+		it("aborts the current render and resolves with null", async () => {
+			let signal = null;
+			const scheduler = new RenderScheduler(async arg => { signal = arg; await wait(20); return true; });
+			const result = scheduler.schedule();
+			await wait(5);
+			scheduler.cancel();
+			expect(signal.aborted).to.be.true;
+			expect(await result).to.be.null;
+			expect(scheduler.busy).to.be.false;
+		}));
+	
+	when("disposed", () =>
+		it("ignores further requests", async () => {
+			let calls = 0;
+			const scheduler = new RenderScheduler(() => ++calls);
+			scheduler.dispose();
+			expect(await scheduler.schedule()).to.be.null;
+			expect(calls).to.equal(0);
+		}));
+});
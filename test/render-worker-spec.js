@@ -0,0 +1,124 @@
+"use strict";
+
+const RenderWorker = require("../lib/render-worker.js");
+const {join} = require("path");
+const modulePath = join(__dirname, "fixtures", "render-module.js");
+const wait = ms => new Promise(resolve => setTimeout(() => resolve(), ms));
+
+
+describe("RenderWorker", function(){
+	this.timeout(10000);
+	let worker = null;
+	afterEach(() => worker && worker.dispose());
+	
+	when("initialised", () => {
+		it("requires a module path", () => {
+			expect(() => new RenderWorker()).to.throw(TypeError, "No render module specified");
+		});
+		
+		it("doesn't start a process until one is needed", () => {
+			worker = new RenderWorker(modulePath);
+			expect(worker.running).to.be.false;
+		});
+	});
+	
+	when("rendering", () => {
+		it("concatenates fragments emitted by the module", async () => {
+			worker = new RenderWorker(modulePath);
+			const fragments = [];
+			const output = await worker.render("foo\nbar", {onFragment: data => fragments.push(data)});
+			expect(output).to.equal("FOO\nBAR\n!");
+			expect(fragments).to.eql(["FOO\n", "BAR\n"]);
+			expect(worker.running).to.be.true;
+		});
+		
+		it("passes options to the module", async () => {
+			worker = new RenderWorker(modulePath);
+			const output = await worker.render("options", {options: {foo: "bar"}});
+			expect(JSON.parse(output)).to.eql({foo: "bar"});
+		});
+		
+		it("reuses the same process", async () => {
+			worker = new RenderWorker(modulePath);
+			await worker.render("foo");
+			const proc = worker.process;
+			await worker.render("bar");
+			expect(worker.process).to.equal(proc);
+		});
+		
+		it("can use a worker thread instead of a process", async () => {
+			worker = new RenderWorker(modulePath, {threaded: true});
+			const fragments = [];
+			const output = await worker.render("foo", {onFragment: data => fragments.push(data)});
+			expect(output).to.equal("FOO\n!");
+			expect(fragments).to.eql(["FOO\n"]);
+			expect(worker.process.threadId).to.be.a("number");
+		});
+		
+		it("rejects with errors thrown by the module", async () => {
+			worker = new RenderWorker(modulePath);
+			let error = null;
+			await worker.render("error").catch(e => error = e);
+			expect(error).to.be.an.instanceOf(Error);
+			expect(error.name).to.equal("TypeError");
+			expect(error.message).to.equal("Bad input");
+		});
+	});
+	
+	when("a render is cancelled", () => {
+		it("rejects with an AbortError", async () => {
+			worker = new RenderWorker(modulePath);
+			const controller = new AbortController();
+			const result = worker.render("slow", {signal: controller.signal});
+			await wait(50);
+			controller.abort();
+			let error = null;
+			await result.catch(e => error = e);
+			expect(error).to.have.property("name", "AbortError");
+		});
+		
+		it("kills the process if the render doesn't stop", async () => {
+			worker = new RenderWorker(modulePath, {cancelGrace: 50});
+			const controller = new AbortController();
+			const result = worker.render("hang", {signal: controller.signal}).catch(() => {});
+			await wait(100);
+			const proc = worker.process;
+			controller.abort();
+			await result;
+			await wait(100);
+			expect(worker.process).not.to.equal(proc);
+			expect(await worker.render("foo")).to.equal("FOO\n!");
+		});
+	});
+	
+	when("a render takes too long", () =>
+		it("restarts the process", async () => {
+			worker = new RenderWorker(modulePath, {timeout: 200});
+			let error = null;
+			await worker.render("hang").catch(e => error = e);
+			expect(error.message).to.equal("Render timed out after 200ms");
+			expect(await worker.render("foo")).to.equal("FOO\n!");
+		}));
+	
+	when("the process crashes", () =>
+		it("rejects with the process's stderr and recovers", async () => {
+			worker = new RenderWorker(modulePath);
+			let error = null;
+			await worker.render("crash").catch(e => error = e);
+			expect(error.message).to.equal("Render process exited unexpectedly (3)");
+			expect(error.stack).to.contain("Something went horribly wrong");
+			expect(worker.running).to.be.false;
+			expect(await worker.render("foo")).to.equal("FOO\n!");
+		}));
+	
+	when("disposed", () =>
+		it("stops the process and rejects further renders", async () => {
+			worker = new RenderWorker(modulePath);
+			await worker.render("foo");
+			worker.dispose();
+			expect(worker.running).to.be.false;
+			let error = null;
+			await worker.render("foo").catch(e => error = e);
+			expect(error.message).to.equal("Render worker has been disposed");
+		}));
+});
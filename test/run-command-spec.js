@@ -0,0 +1,88 @@
+"use strict";
+
+const runCommand = require("../lib/run-command.js");
+const {join, resolve} = require("path");
+const standIn = join(__dirname, "fixtures", "stand-in.js");
+const env = {ELECTRON_RUN_AS_NODE: "1"};
+const run = (args, options = {}) => runCommand(process.execPath, [standIn, ...args], {env, ...options});
+
+
+describe("runCommand()", function(){
+	this.timeout(10000);
+	
+	when("a command succeeds", () => {
+		it("pipes input to the command's stdin", async () => {
+			const {stdout, stderr, code} = await run(["upper"], {input: "foo\nbar"});
+			expect(stdout).to.equal("FOO\nBAR");
+			expect(stderr).to.equal("");
+			expect(code).to.equal(0);
+		});
+		
+		it("passes arguments to the command", async () => {
+			const {stdout} = await run(["args", "--foo", "bar baz"]);
+			expect(JSON.parse(stdout)).to.eql(["--foo", "bar baz"]);
+		});
+		
+		it("runs the command in the specified directory", async () => {
+			const cwd = join(__dirname, "fixtures");
+			const {stdout} = await run(["cwd"], {cwd});
+			expect(resolve(stdout)).to.equal(cwd);
+		});
+		
+		it("adds variables to the command's environment", async () => {
+			const {stdout} = await run(["env", "LIVE_VIEW_TEST"], {env: {...env, LIVE_VIEW_TEST: "Foo"}});
+			expect(stdout).to.equal("Foo");
+		});
+		
+		it("reports diagnostics written to stderr", async () => {
+			const {stdout, stderr} = await run(["warn"], {input: "foo"});
+			expect(stdout).to.equal("FOO");
+			expect(stderr).to.equal("stand-in: Warning: unknown macro\n");
+		});
+	});
+	
+	when("a command fails", () => {
+		it("rejects with the command's diagnostics", async () => {
+			let error = null;
+			await run(["fail"]).catch(e => error = e);
+			expect(error).to.be.an.instanceOf(Error);
+			expect(error.message).to.equal("stand-in: Syntax error on line 2");
+			expect(error.code).to.equal(2);
+			expect(error.stack).to.match(/exited with code 2/);
+		});
+		
+		it("rejects if the command doesn't exist", async () => {
+			let error = null;
+			await runCommand("live-view-nonexistent-command").catch(e => error = e);
+			expect(error.message).to.equal("Command not found: live-view-nonexistent-command");
+		});
+	});
+	
+	when("a command takes too long", () =>
+		it("kills the command", async () => {
+			let error = null;
+			const start = Date.now();
+			await run(["sleep"], {timeout: 200}).catch(e => error = e);
+			expect(error.message).to.match(/timed out after 200ms$/);
+			expect(Date.now() - start).to.be.below(2000);
+		}));
+	
+	when("the abort signal is triggered", () => {
+		it("kills the command", async () => {
+			const controller = new AbortController();
+			const result = run(["sleep"], {signal: controller.signal});
+			setTimeout(() => controller.abort(), 100);
+			let error = null;
+			await result.catch(e => error = e);
+			expect(error).to.have.property("name", "AbortError");
+		});
+		
+		it("doesn't start commands which were already aborted", async () => {
+			const controller = new AbortController();
+			controller.abort();
+			let error = null;
+			await run(["upper"], {signal: controller.signal}).catch(e => error = e);
+			expect(error).to.have.property("name", "AbortError");
+		});
+	});
+});
@@ -0,0 +1,122 @@
+"use strict";
+
+const SandboxFrame = require("../lib/sandbox-frame.js");
+
+
+describe("SandboxFrame", () => {
+	let content = null;
+	let frame = null;
+	const attach = () => new Promise(resolve => {
+		frame.element.addEventListener("load", () => resolve(frame.document), {once: true});
+		document.body.appendChild(frame.element);
+	});
+	
+	beforeEach(() => {
+		content = document.createElement("div");
+		content.className = "live-view-output";
+		content.innerHTML = "<p>Foo</p>";
+		frame = new SandboxFrame(content, {className: "foo-view"});
+	});
+	afterEach(() => frame.destroy());
+	
+	when("created", () => {
+		it("forbids everything except same-origin access", () => {
+			expect(frame.element.getAttribute("sandbox")).to.equal("allow-same-origin");
+		});
+		
+		it("hasn't loaded anything", () => {
+			expect(frame.document).to.be.null;
+			expect(frame.mounted).to.be.false;
+			expect(content.ownerDocument).to.equal(document);
+		});
+		
+		it("creates nodes in an inert document", async () => {
+			window.sandboxSpecRan = false;
+			const doc = frame.targetDocument;
+			expect(doc).not.to.equal(document);
+			expect(frame.targetDocument).to.equal(doc);
+			doc.createElement("div").innerHTML = '<img src="data:," onerror="top.sandboxSpecRan = true">';
+			await new Promise(resolve => setTimeout(resolve, 100));
+			expect(window.sandboxSpecRan).to.be.false;
+			delete window.sandboxSpecRan;
+		});
+	});
+	
+	when("attached", () => {
+		it("displays its content", async () => {
+			const doc = await attach();
+			expect(frame.mounted).to.be.true;
+			expect(frame.targetDocument).to.equal(doc);
+			expect(content.ownerDocument).to.equal(doc);
+			expect(content.parentNode).to.equal(doc.body);
+			expect(doc.body.className).to.equal("foo-view");
+		});
+		
+		it("enforces a Content Security Policy", async () => {
+			const doc = await attach();
+			const meta = doc.querySelector("meta[http-equiv=Content-Security-Policy]");
+			expect(meta).to.exist;
+			expect(meta.content).to.equal(SandboxFrame.defaultPolicy);
+			expect(meta.content).to.contain("default-src 'none'");
+		});
+		
+		it("doesn't execute scripts", async () => {
+			window.sandboxSpecRan = false;
+			const doc = await attach();
+			content.innerHTML = '<img src="data:," onerror="top.sandboxSpecRan = true">';
+			const script = doc.createElement("script");
+			script.textContent = "top.sandboxSpecRan = true;";
+			content.appendChild(script);
+			await new Promise(resolve => setTimeout(resolve, 100));
+			expect(window.sandboxSpecRan).to.be.false;
+			delete window.sandboxSpecRan;
+		});
+		
+		it("applies stylesheets", async () => {
+			frame.setStyles("p { color: rgb(255, 0, 0); }");
+			const doc = await attach();
+			expect(doc.defaultView.getComputedStyle(content.firstChild).color).to.equal("rgb(255, 0, 0)");
+			frame.setStyles("p { color: rgb(0, 0, 255); }");
+			expect(doc.defaultView.getComputedStyle(content.firstChild).color).to.equal("rgb(0, 0, 255)");
+		});
+	});
+	
+	when("moved to another part of the DOM", () =>
+		it("keeps displaying its content", async () => {
+			await attach();
+			const doc = await new Promise(resolve => {
+				frame.element.addEventListener("load", () => resolve(frame.document), {once: true});
+				const wrapper = document.createElement("div");
+				document.body.appendChild(wrapper);
+				wrapper.appendChild(frame.element);
+			});
+			expect(content.ownerDocument).to.equal(doc);
+			expect(content.parentNode).to.equal(doc.body);
+			expect(content.textContent).to.equal("Foo");
+			frame.element.parentNode.remove();
+		}));
+	
+	when("a key is pressed inside the frame", () =>
+		it("dispatches the event from the frame's element", async () => {
+			const doc = await attach();
+			let received = null;
+			frame.element.addEventListener("keydown", event => received = event);
+			doc.body.dispatchEvent(new doc.defaultView.KeyboardEvent("keydown", {key: "a", ctrlKey: true, bubbles: true}));
+			expect(received).to.exist;
+			expect(received.key).to.equal("a");
+			expect(received.ctrlKey).to.be.true;
+		}));
+	
+	when("the frame's content is right-clicked", () =>
+		it("dispatches the event from the frame's element", async () => {
+			const doc = await attach();
+			const {left, top} = frame.element.getBoundingClientRect();
+			let received = null;
+			frame.element.addEventListener("contextmenu", event => received = event);
+			content.firstChild.dispatchEvent(new doc.defaultView.MouseEvent("contextmenu", {clientX: 10, clientY: 20, bubbles: true}));
+			expect(received).to.exist;
+			expect(received.clientX).to.equal(left + 10);
+			expect(received.clientY).to.equal(top + 20);
+			expect(frame.contextTarget).to.equal(content.firstChild);
+		}));
+});
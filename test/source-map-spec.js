@@ -0,0 +1,88 @@
+"use strict";
+
+const SourceMap = require("../lib/source-map.js");
+const {Range} = require("atom");
+
+
+describe("SourceMap", () => {
+	const html = `
+		<p data-source-range="0-2">Foo</p>
+		<section data-source-range="4-20">
+			<p data-source-range="5:2-8:4"><b>Bar</b></p>
+			<p data-source-range="12">Baz</p>
+		</section>
+		<p>Unmapped</p>
+	`;
+	let root, map;
+	beforeEach(() => {
+		root = document.createElement("div");
+		root.innerHTML = html;
+		map = new SourceMap(root);
+	});
+	
+	when("parsing a range", () => {
+		it("understands each supported format", () => {
+			expect(SourceMap.parse("12"))        .to.eql(new Range([12, 0], [12, Infinity]));
+			expect(SourceMap.parse("12:4"))      .to.eql(new Range([12, 4], [12, Infinity]));
+			expect(SourceMap.parse("12-20"))     .to.eql(new Range([12, 0], [20, Infinity]));
+			expect(SourceMap.parse("12:4-20:16")).to.eql(new Range([12, 4], [20, 16]));
+		});
+		
+		it("returns null for malformed input", () => {
+			expect(SourceMap.parse("")).to.be.null;
+			expect(SourceMap.parse("1:2:3")).to.be.null;
+			expect(SourceMap.parse("foo")).to.be.null;
+		});
+	});
+	
+	when("stringifying a range", () => {
+		it("generates the shortest representation", () => {
+			expect(SourceMap.stringify(new Range([4, 2], [6, 0]))).to.equal("4:2-6:0");
+			expect(SourceMap.stringify([[4, 0], [6, Infinity]])) .to.equal("4:0-6");
+			expect(SourceMap.stringify([4, 2])).to.equal("4:2");
+			expect(SourceMap.stringify(4)).to.equal("4");
+		});
+		
+		it("round-trips through the parser", () => {
+			const range = new Range([3, 1], [9, 7]);
+			expect(SourceMap.parse(SourceMap.stringify(range))).to.eql(range);
+		});
+	});
+	
+	when("tagging an element", () =>
+		it("stores the range as an attribute", () => {
+			const el = SourceMap.tag(document.createElement("div"), [[1, 2], [3, 4]]);
+			expect(el.getAttribute("data-source-range")).to.equal("1:2-3:4");
+		}));
+	
+	when("locating the range of a node", () => {
+		it("uses the nearest mapped ancestor", () => {
+			const bold = root.querySelector("b");
+			expect(map.rangeForElement(bold)).to.eql(new Range([5, 2], [8, 4]));
+			expect(map.rangeForElement(bold.firstChild)).to.eql(new Range([5, 2], [8, 4]));
+		});
+		
+		it("returns null for unmapped output", () => {
+			expect(map.rangeForElement(root.lastElementChild)).to.be.null;
+			expect(map.rangeForElement(document.body)).to.be.null;
+		});
+	});
+	
+	when("locating the element for a position", () => {
+		it("prefers the innermost match", () => {
+			expect(map.elementForPosition([6, 0]).textContent).to.equal("Bar");
+			expect(map.elementForPosition([12, 3]).textContent).to.equal("Baz");
+			expect(map.elementForPosition([15, 0]).tagName).to.equal("SECTION");
+		});
+		
+		it("falls back to the closest preceding element", () => {
+			expect(map.elementForPosition([3, 0]).textContent).to.equal("Foo");
+			expect(map.elementForPosition([40, 0]).textContent).to.equal("Baz");
+		});
+		
+		it("returns null if nothing precedes the position", () => {
+			root.firstElementChild.remove();
+			expect(map.elementForPosition([1, 0])).to.be.null;
+		});
+	});
+});